@@ -1,7 +1,11 @@
 'use strict'
 // note: can remove these deep requires when we bump min version of pg to 9.x
-const Result = require('pg/lib/result.js')
-const prepare = require('pg/lib/utils.js').prepareValue
+const utils = require('pg/lib/utils.js')
+// the Netezza driver's Result returns the values already decoded from DBOS tuples as they are
+const Result = require('netezza-node-driver/lib/result.js')
+// Netezza has no bind parameters, the values are interpolated the way the Netezza driver does it
+const { interpolateValues } = require('netezza-node-driver/lib/utils.js')
+const prepare = utils.prepareValue
 const EventEmitter = require('events').EventEmitter
 const util = require('util')
 
@@ -14,6 +18,7 @@ class Cursor extends EventEmitter {
     this._conf = config || {}
     this.text = text
     this.values = values ? values.map(prepare) : null
+    this._rawValues = values
     this.connection = null
     this._queue = []
     this.state = 'initialized'
@@ -22,6 +27,10 @@ class Cursor extends EventEmitter {
     this._cb = null
     this._rows = null
     this._portal = null
+    this._netezza = false
+    this._step = null
+    this._closeRequested = false
+    this._ownsTransaction = true
     this._ifNoData = this._ifNoData.bind(this)
     this._rowDescription = this._rowDescription.bind(this)
   }
@@ -45,6 +54,16 @@ class Cursor extends EventEmitter {
     this.connection = connection
     this._portal = 'C_' + nextUniqueID++
 
+    if (this._conf.types) {
+      this._result._getTypeParser = this._conf.types.getTypeParser
+    }
+
+    // Netezza has no extended protocol portals, use a SQL cursor instead
+    this._netezza = this._conf.netezza !== undefined ? Boolean(this._conf.netezza) : connection.commandNumber >= 0
+    if (this._netezza) {
+      return this._declare()
+    }
+
     const con = connection
 
     con.parse(
@@ -72,14 +91,99 @@ class Cursor extends EventEmitter {
 
     con.flush()
 
-    if (this._conf.types) {
-      this._result._getTypeParser = this._conf.types.getTypeParser
-    }
-
     con.once('noData', this._ifNoData)
     con.once('rowDescription', this._rowDescription)
   }
 
+  _declare() {
+    let text = this.text
+    if (this._rawValues && this._rawValues.length) {
+      try {
+        text = interpolateValues(text, this._rawValues)
+      } catch (err) {
+        return err
+      }
+    }
+    this._declareText = `DECLARE ${this._portal} CURSOR FOR ${text}`
+    // cursors only live inside a transaction, one already open belongs to the caller and is left alone
+    this._onNotice = (msg) => {
+      if (/already a transaction in progress/i.test(msg.message)) {
+        this._ownsTransaction = false
+      }
+    }
+    this.connection.on('notice', this._onNotice)
+    this.state = 'busy'
+    this._run('begin', 'BEGIN')
+  }
+
+  _run(step, text) {
+    this._step = step
+    this.connection.query(text)
+  }
+
+  _closeCursor() {
+    this._closeRequested = true
+    this.state = 'busy'
+    this._run('close', `CLOSE ${this._portal}`)
+  }
+
+  // the client calls this when each statement of a Netezza cursor is done,
+  // the cursor keeps the connection while it returns true
+  handleStatementReady() {
+    if (!this._netezza) {
+      return false
+    }
+    switch (this._step) {
+      case 'begin':
+        this.connection.removeListener('notice', this._onNotice)
+        this._run('declare', this._declareText)
+        return true
+      case 'declare':
+        if (this._closeRequested) {
+          this._closeCursor()
+          return true
+        }
+        this.state = 'idle'
+        this._shiftQueue()
+        return true
+      case 'fetch': {
+        const exhausted = this._rows.length < this._requested
+        const cb = this._cb
+        const rows = this._rows
+        this._cb = null
+        this._rows = []
+        this.state = 'idle'
+        setImmediate(() => {
+          if (cb) {
+            this._result.rows = rows
+            cb(null, rows, this._result)
+          }
+        })
+        if (exhausted || this._closeRequested) {
+          this._closeCursor()
+        } else {
+          this._shiftQueue()
+        }
+        return true
+      }
+      case 'close':
+        if (this._ownsTransaction) {
+          this._run('commit', 'COMMIT')
+          return true
+        }
+        return false
+      case 'error':
+        // a failed statement aborts the transaction, roll back the one the cursor opened
+        if (this._ownsTransaction && this._failedStep !== 'begin' && this._failedStep !== 'commit') {
+          this._run('rollback', 'ROLLBACK')
+          return true
+        }
+        return false
+      default:
+        return false
+    }
+  }
+
   _shiftQueue() {
     if (this._queue.length) {
       this._getRows.apply(this, this._queue.shift())
@@ -106,10 +210,18 @@ class Cursor extends EventEmitter {
 
   handleRowDescription(msg) {
     this._result.addFields(msg.fields)
+    if (this._netezza) {
+      // every FETCH describes its rows again
+      return
+    }
     this.state = 'idle'
     this._shiftQueue()
   }
 
+  handleDbosTupleDescriptor(msg) {
+    this._result.addDbosTypeNames(msg.fieldTypeNames || [])
+  }
+
   handleDataRow(msg) {
     const row = this._result.parseRow(msg.fields)
     this.emit('row', row, this._result)
@@ -133,6 +245,9 @@ class Cursor extends EventEmitter {
   }
 
   handleCommandComplete(msg) {
+    if (this._netezza) {
+      return
+    }
     this._result.addCommandComplete(msg)
     this._closePortal()
   }
@@ -148,6 +263,9 @@ class Cursor extends EventEmitter {
   }
 
   handleEmptyQuery() {
+    if (this._netezza) {
+      return
+    }
     this.connection.sync()
   }
 
@@ -160,7 +278,13 @@ class Cursor extends EventEmitter {
     // This can happen if you queue a stream and close the client before
     // the client has submitted the stream.  In this scenario we don't have
     // a connection so there's nothing to unsubscribe from.
-    if (this.state !== 'initialized') {
+    if (this._netezza) {
+      if (this._onNotice) {
+        this.connection.removeListener('notice', this._onNotice)
+      }
+      this._failedStep = this._step
+      this._step = 'error'
+    } else if (this.state !== 'initialized') {
       this.connection.removeListener('noData', this._ifNoData)
       this.connection.removeListener('rowDescription', this._rowDescription)
       // call sync to trigger a readyForQuery
@@ -190,6 +314,11 @@ class Cursor extends EventEmitter {
     this.state = 'busy'
     this._cb = cb
     this._rows = []
+    if (this._netezza) {
+      this._requested = rows
+      this._run('fetch', `FETCH FORWARD ${rows} FROM ${this._portal}`)
+      return
+    }
     const msg = {
       portal: this._portal,
       rows: rows,
@@ -222,6 +351,17 @@ class Cursor extends EventEmitter {
       return promise
     }
 
+    if (this._netezza) {
+      this.once('end', () => cb())
+      if (this.state === 'idle') {
+        this._closeCursor()
+      } else {
+        // closed once the running statement is done
+        this._closeRequested = true
+      }
+      return promise
+    }
+
     this._closePortal()
     this.connection.once('readyForQuery', function () {
       cb()
@@ -240,7 +380,9 @@ class Cursor extends EventEmitter {
       })
     }
 
-    if (this.state === 'idle' || this.state === 'submitted') {
+    if (this._closeRequested && this.state !== 'error') {
+      setImmediate(() => cb(null, []))
+    } else if (this.state === 'idle' || this.state === 'submitted') {
       this._getRows(rows, cb)
     } else if (this.state === 'busy' || this.state === 'initialized') {
       this._queue.push([rows, cb])
@@ -0,0 +1,114 @@
+const assert = require('assert')
+const { EventEmitter } = require('events')
+const Cursor = require('../')
+
+// answers the statements of a Netezza cursor the way the client routes backend messages to it
+const fakeNetezza = function (cursor, rows, options) {
+  options = options || {}
+  const con = new EventEmitter()
+  con.commandNumber = 1
+  con.statements = []
+  let position = 0
+  con.query = (text) => {
+    con.statements.push(text)
+    setImmediate(() => {
+      if (text === 'BEGIN' && options.inTransaction) {
+        con.emit('notice', { message: 'BEGIN: already a transaction in progress' })
+      }
+      const fetch = /^FETCH FORWARD (\d+)/.exec(text)
+      if (fetch) {
+        cursor.handleRowDescription({ fields: options.fields || [{ name: 'num', dataTypeID: 23 }] })
+        if (options.fieldTypeNames) {
+          cursor.handleDbosTupleDescriptor({ fieldTypeNames: options.fieldTypeNames })
+        }
+        rows.slice(position, position + Number(fetch[1])).forEach((row) => {
+          cursor.handleDataRow({ fields: Array.isArray(row) ? row : [String(row)] })
+        })
+        position += Number(fetch[1])
+      }
+      if (options.failOn && text.startsWith(options.failOn)) {
+        cursor.handleError(new Error('boom'))
+      }
+      if (!cursor.handleStatementReady(con)) {
+        cursor.handleReadyForQuery(con)
+      }
+    })
+  }
+  return con
+}
+
+describe('netezza cursor', function () {
+  it('pages through the rows with DECLARE, FETCH and CLOSE in a transaction', async function () {
+    const cursor = new Cursor('SELECT num FROM numbers')
+    const con = fakeNetezza(cursor, [0, 1, 2, 3, 4])
+    cursor.submit(con)
+    assert.deepStrictEqual(await cursor.read(3), [{ num: 0 }, { num: 1 }, { num: 2 }])
+    assert.deepStrictEqual(await cursor.read(3), [{ num: 3 }, { num: 4 }])
+    await new Promise((resolve) => cursor.once('end', resolve))
+    assert.deepStrictEqual(con.statements, [
+      'BEGIN',
+      `DECLARE ${cursor._portal} CURSOR FOR SELECT num FROM numbers`,
+      `FETCH FORWARD 3 FROM ${cursor._portal}`,
+      `FETCH FORWARD 3 FROM ${cursor._portal}`,
+      `CLOSE ${cursor._portal}`,
+      'COMMIT',
+    ])
+    assert.deepStrictEqual(await cursor.read(3), [])
+  })
+
+  it('interpolates the values into the declared query', async function () {
+    const cursor = new Cursor('SELECT num FROM numbers WHERE name = $1 OR name = $2', ['one', "it's"])
+    const con = fakeNetezza(cursor, [1])
+    cursor.submit(con)
+    assert.deepStrictEqual(await cursor.read(10), [{ num: 1 }])
+    assert.strictEqual(
+      con.statements[1],
+      `DECLARE ${cursor._portal} CURSOR FOR SELECT num FROM numbers WHERE name = 'one' OR name = 'it''s'`
+    )
+  })
+
+  it('returns binary and interval values decoded from DBOS tuples as they are', async function () {
+    const cursor = new Cursor('SELECT data, span FROM blobs')
+    const data = Buffer.from([0, 1, 255])
+    const span = { years: 1, months: 2, days: 0, hours: 0, minutes: 0, seconds: 0, milliseconds: 0 }
+    const con = fakeNetezza(cursor, [[data, span]], {
+      fields: [
+        { name: 'data', dataTypeID: 17, format: 'binary' },
+        { name: 'span', dataTypeID: 1186 },
+      ],
+      fieldTypeNames: ['VARBINARY', 'INTERVAL'],
+    })
+    cursor.submit(con)
+    const [row] = await cursor.read(10)
+    assert.strictEqual(row.data, data)
+    assert.strictEqual(row.span, span)
+  })
+
+  it('closes an unfinished cursor', async function () {
+    const cursor = new Cursor('SELECT num FROM numbers')
+    const con = fakeNetezza(cursor, [0, 1, 2, 3, 4])
+    cursor.submit(con)
+    await cursor.read(2)
+    await cursor.close()
+    assert.deepStrictEqual(con.statements.slice(-2), [`CLOSE ${cursor._portal}`, 'COMMIT'])
+    assert.strictEqual(cursor.state, 'done')
+  })
+
+  it('leaves a transaction opened by the caller alone', async function () {
+    const cursor = new Cursor('SELECT num FROM numbers')
+    const con = fakeNetezza(cursor, [0], { inTransaction: true })
+    cursor.submit(con)
+    await cursor.read(10)
+    await new Promise((resolve) => cursor.once('end', resolve))
+    assert.strictEqual(con.statements[con.statements.length - 1], `CLOSE ${cursor._portal}`)
+  })
+
+  it('rolls back its transaction when a statement fails', async function () {
+    const cursor = new Cursor('SELECT num FROM numbers')
+    const con = fakeNetezza(cursor, [0, 1], { failOn: 'FETCH' })
+    cursor.submit(con)
+    await assert.rejects(cursor.read(1), /boom/)
+    await new Promise((resolve) => cursor.once('end', resolve))
+    assert.strictEqual(con.statements[con.statements.length - 1], 'ROLLBACK')
+  })
+})
@@ -392,7 +392,7 @@ class Pool extends EventEmitter {
     this._pulseQueue()
   }
 
-  query(text, values, cb) {
+  query(text, values, options, cb) {
     // guard clause against passing a function as the first parameter
     if (typeof text === 'function') {
       const response = promisify(this.Promise, text)
@@ -406,6 +406,24 @@ class Pool extends EventEmitter {
     if (typeof values === 'function') {
       cb = values
       values = undefined
+    } else if (typeof options === 'function') {
+      cb = options
+      options = undefined
+    }
+    if (values && !Array.isArray(values)) {
+      options = values
+      values = undefined
+    }
+    // the signal travels with the query config, a query aborted while waiting for a client fails once it gets one
+    if (options && options.signal) {
+      if (typeof text === 'string') {
+        text = { text, values, signal: options.signal }
+        values = undefined
+      } else if (typeof text.submit === 'function') {
+        text.signal = options.signal
+      } else {
+        text = { ...text, signal: options.signal }
+      }
     }
     const response = promisify(this.Promise, cb)
     cb = response.callback
@@ -449,6 +467,29 @@ class Pool extends EventEmitter {
     return response.result
   }
 
+  // iterates over the rows of a query on a pooled client with `for await`,
+  // the client goes back to the pool when the loop ends, also on break or error
+  iterate(text, values, options) {
+    const pool = this
+    return (async function* () {
+      const client = await pool.connect()
+      let error
+      const onError = (err) => {
+        error = err
+      }
+      client.once('error', onError)
+      try {
+        yield* client.iterate(text, values, options)
+      } catch (err) {
+        error = err
+        throw err
+      } finally {
+        client.removeListener('error', onError)
+        client.release(error)
+      }
+    })()
+  }
+
   end(cb) {
     this.log('ending')
     if (this.ending) {
@@ -0,0 +1,50 @@
+'use strict'
+
+const expect = require('expect.js')
+const EventEmitter = require('events').EventEmitter
+const describe = require('mocha').describe
+const it = require('mocha').it
+const Pool = require('../')
+
+// a client recording the query configs it receives
+const recordingClient = function (queries) {
+  return function () {
+    const client = new EventEmitter()
+    client._queryable = true
+    client.connect = (cb) => process.nextTick(cb)
+    client.end = () => client.emit('end')
+    client.query = (config, values, cb) => {
+      queries.push(config)
+      process.nextTick(() => cb(null, { rows: [] }))
+    }
+    return client
+  }
+}
+
+describe('pool.query with a signal', function () {
+  it('passes the signal with the query text and values', async function () {
+    const queries = []
+    const pool = new Pool({ Client: recordingClient(queries) })
+    const { signal } = new AbortController()
+    await pool.query('SELECT $1::int', [1], { signal })
+    await pool.query('SELECT 2', { signal })
+    await pool.query({ text: 'SELECT 3', rowMode: 'array' }, undefined, { signal })
+    expect(queries).to.eql([
+      { text: 'SELECT $1::int', values: [1], signal },
+      { text: 'SELECT 2', values: undefined, signal },
+      { text: 'SELECT 3', rowMode: 'array', signal },
+    ])
+    await pool.end()
+  })
+
+  it('still takes a callback', function (done) {
+    const queries = []
+    const pool = new Pool({ Client: recordingClient(queries) })
+    const { signal } = new AbortController()
+    pool.query('SELECT 1', [], { signal }, (err) => {
+      expect(err).to.be(undefined)
+      expect(queries[0].signal).to.be(signal)
+      pool.end(done)
+    })
+  })
+})
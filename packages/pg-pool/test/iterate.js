@@ -0,0 +1,67 @@
+'use strict'
+
+const expect = require('expect.js')
+const EventEmitter = require('events').EventEmitter
+const describe = require('mocha').describe
+const it = require('mocha').it
+const Pool = require('../')
+
+// a client whose iterate yields the numbers up to `count` and then fails if asked to
+const iteratingClient = function (count, failAt) {
+  return function () {
+    const client = new EventEmitter()
+    client._queryable = true
+    client.connect = (cb) => process.nextTick(cb)
+    client.end = () => client.emit('end')
+    client.iterate = async function* () {
+      for (let i = 0; i < count; i++) {
+        if (i === failAt) {
+          throw new Error('boom')
+        }
+        yield i
+      }
+    }
+    return client
+  }
+}
+
+describe('pool.iterate', function () {
+  it('yields the rows and releases the client', async function () {
+    const pool = new Pool({ Client: iteratingClient(3) })
+    const rows = []
+    for await (const row of pool.iterate('SELECT num FROM numbers')) {
+      rows.push(row)
+    }
+    expect(rows).to.eql([0, 1, 2])
+    expect(pool.idleCount).to.equal(1)
+    await pool.end()
+  })
+
+  it('releases the client when the loop is left early', async function () {
+    const pool = new Pool({ Client: iteratingClient(10) })
+    for await (const row of pool.iterate('SELECT num FROM numbers')) {
+      if (row === 1) {
+        break
+      }
+    }
+    expect(pool.totalCount).to.equal(1)
+    expect(pool.idleCount).to.equal(1)
+    await pool.end()
+  })
+
+  it('removes the client from the pool when the query fails', async function () {
+    const pool = new Pool({ Client: iteratingClient(10, 2) })
+    const rows = []
+    try {
+      for await (const row of pool.iterate('SELECT num FROM numbers')) {
+        rows.push(row)
+      }
+      throw new Error('should have failed')
+    } catch (err) {
+      expect(err.message).to.equal('boom')
+    }
+    expect(rows).to.eql([0, 1])
+    expect(pool.totalCount).to.equal(0)
+    await pool.end()
+  })
+})
@@ -6,6 +6,10 @@ export const DatabaseError = protocol.DatabaseError
 export const SASL = protocol.SASL
 export const serialize = protocol.serialize
 export const parse = protocol.parse
+export const NzTypeOids = protocol.NzTypeOids
+export const NzDbosTypeNames = protocol.NzDbosTypeNames
+export const nzTypeNameFromOid = protocol.nzTypeNameFromOid
+export const nzTypeNameFromDbosType = protocol.nzTypeNameFromDbosType
 
 // Re-export the default
 export default protocol
@@ -0,0 +1,287 @@
+/**
+ * Decoders for fixed-size Netezza DBOS field values.
+ *
+ * DBOS tuples carry values in the backend's native little-endian layout.
+ * Dates, times and timestamps use the PostgreSQL epoch (2000-01-01) with
+ * microsecond resolution, so the decoders below turn them into the same text
+ * representation the backend would send in a text DataRow with DateStyle ISO.
+ * Binary values do not depend on the session DateStyle, so DBOS dates are
+ * always exact whatever the DateStyle and EuroDates settings are.
+ */
+
+import { NzCharsetLatin9, NzTypeNChar, NzTypeNVarChar } from './netezza-types'
+
+const MICROS_PER_SECOND = BigInt(1000000)
+const SECONDS_PER_DAY = 86400
+const MS_PER_DAY = SECONDS_PER_DAY * 1000
+
+// 2000-01-01T00:00:00Z in milliseconds since the unix epoch
+const NZ_EPOCH_MS = Date.UTC(2000, 0, 1)
+
+const pad = (value: number, width: number = 2): string => String(value).padStart(width, '0')
+
+// floor division for bigint values, `/` truncates towards zero
+const floorDiv = (value: bigint, divisor: bigint): bigint => {
+  const quotient = value / divisor
+  return value % divisor < BigInt(0) ? quotient - BigInt(1) : quotient
+}
+
+const formatFraction = (micros: number): string => {
+  if (micros === 0) {
+    return ''
+  }
+  return '.' + pad(micros, 6).replace(/0+$/, '')
+}
+
+const formatDay = (days: number): string => {
+  const date = new Date(NZ_EPOCH_MS + days * MS_PER_DAY)
+  const year = date.getUTCFullYear()
+  const month = pad(date.getUTCMonth() + 1)
+  const day = pad(date.getUTCDate())
+  if (year < 1) {
+    // year 0 is 1 BC
+    return `${pad(1 - year, 4)}-${month}-${day} BC`
+  }
+  return `${pad(year, 4)}-${month}-${day}`
+}
+
+const formatTimeOfDay = (micros: bigint): string => {
+  const seconds = Number(micros / MICROS_PER_SECOND)
+  const fraction = Number(micros % MICROS_PER_SECOND)
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds % 60)}${formatFraction(fraction)}`
+}
+
+// the backend stores time zones as seconds west of UTC
+const formatZone = (zone: number): string => {
+  const offset = -zone
+  const sign = offset < 0 ? '-' : '+'
+  const abs = Math.abs(offset)
+  const seconds = abs % 60
+  let result = `${sign}${pad(Math.floor(abs / 3600))}:${pad(Math.floor((abs % 3600) / 60))}`
+  if (seconds) {
+    result += `:${pad(seconds)}`
+  }
+  return result
+}
+
+/**
+ * DATE: int32 days since 2000-01-01, decoded to `YYYY-MM-DD`
+ */
+export const decodeDate = (buffer: Buffer, offset: number): string => {
+  return formatDay(buffer.readInt32LE(offset))
+}
+
+/**
+ * TIME: int64 microseconds since midnight, decoded to `HH:MM:SS[.ffffff]`.
+ * `24:00:00` is only kept when the session has EnableTime24 set, otherwise
+ * it is reported as midnight like the backend does in text rows.
+ */
+export const decodeTime = (buffer: Buffer, offset: number, time24: boolean = true): string => {
+  const micros = buffer.readBigInt64LE(offset)
+  const microsPerDay = MICROS_PER_SECOND * BigInt(SECONDS_PER_DAY)
+  return formatTimeOfDay(!time24 && micros === microsPerDay ? BigInt(0) : micros)
+}
+
+/**
+ * TIMETZ: int64 microseconds since midnight followed by an int32 zone,
+ * decoded to `HH:MM:SS[.ffffff]+HH:MM`
+ */
+export const decodeTimeTz = (buffer: Buffer, offset: number): string => {
+  const time = buffer.readBigInt64LE(offset)
+  const zone = buffer.readInt32LE(offset + 8)
+  return formatTimeOfDay(time) + formatZone(zone)
+}
+
+/**
+ * TIMESTAMP: int64 microseconds since 2000-01-01 00:00:00,
+ * decoded to `YYYY-MM-DD HH:MM:SS[.ffffff]`
+ */
+export const decodeTimestamp = (buffer: Buffer, offset: number): string => {
+  const micros = buffer.readBigInt64LE(offset)
+  const microsPerDay = MICROS_PER_SECOND * BigInt(SECONDS_PER_DAY)
+  const days = floorDiv(micros, microsPerDay)
+  const timeOfDay = micros - days * microsPerDay
+  const day = formatDay(Number(days))
+  const time = formatTimeOfDay(timeOfDay)
+  if (day.endsWith(' BC')) {
+    return `${day.slice(0, -3)} ${time} BC`
+  }
+  return `${day} ${time}`
+}
+
+/**
+ * Structured value of a Netezza INTERVAL column.
+ *
+ * Field names follow postgres-interval so code written against pg keeps working.
+ */
+export class NzInterval {
+  public years: number = 0
+  public months: number = 0
+  public days: number = 0
+  public hours: number = 0
+  public minutes: number = 0
+  public seconds: number = 0
+  public milliseconds: number = 0
+
+  constructor(totalMonths: number, micros: bigint) {
+    this.years = Math.trunc(totalMonths / 12)
+    this.months = totalMonths % 12
+
+    const microsPerDay = MICROS_PER_SECOND * BigInt(SECONDS_PER_DAY)
+    this.days = Number(micros / microsPerDay)
+    const rest = micros % microsPerDay
+    const seconds = Number(rest / MICROS_PER_SECOND)
+    this.hours = Math.trunc(seconds / 3600)
+    this.minutes = Math.trunc((seconds % 3600) / 60)
+    this.seconds = seconds % 60
+    this.milliseconds = Number(rest % MICROS_PER_SECOND) / 1000
+  }
+
+  // used by prepareValue when the interval is passed back as a query parameter
+  toPostgres(): string {
+    const parts: string[] = []
+    if (this.years) parts.push(`${this.years} years`)
+    if (this.months) parts.push(`${this.months} mons`)
+    if (this.days) parts.push(`${this.days} days`)
+    const seconds = this.seconds + this.milliseconds / 1000
+    if (this.hours || this.minutes || seconds) {
+      const sign = this.hours < 0 || this.minutes < 0 || seconds < 0 ? '-' : ''
+      const time = `${pad(Math.abs(this.hours))}:${pad(Math.abs(this.minutes))}:${pad(Math.abs(this.seconds))}`
+      const fraction = formatFraction(Math.round(Math.abs(this.milliseconds) * 1000))
+      parts.push(sign + time + fraction)
+    }
+    return parts.length ? parts.join(' ') : '0'
+  }
+
+  toString(): string {
+    return this.toPostgres()
+  }
+}
+
+/**
+ * INTERVAL: int64 microseconds followed by an int32 month count
+ */
+export const decodeInterval = (buffer: Buffer, offset: number): NzInterval => {
+  const micros = buffer.readBigInt64LE(offset)
+  const months = buffer.readInt32LE(offset + 8)
+  return new NzInterval(months, micros)
+}
+
+/**
+ * Byte width of a packed numeric with the given precision
+ */
+export const numericStorageSize = (precision: number): number => {
+  if (precision <= 9) {
+    return 4
+  }
+  if (precision <= 18) {
+    return 8
+  }
+  return 16
+}
+
+// 128 bit numerics are four little-endian uint32 words, most significant word first
+const readInt128 = (buffer: Buffer, offset: number): bigint => {
+  let value = BigInt(0)
+  for (let word = 0; word < 4; word++) {
+    value = (value << BigInt(32)) | BigInt(buffer.readUInt32LE(offset + word * 4))
+  }
+  // two's complement sign
+  if (buffer.readInt32LE(offset) < 0) {
+    value -= BigInt(1) << BigInt(128)
+  }
+  return value
+}
+
+const readScaledInteger = (buffer: Buffer, offset: number, size: number): bigint => {
+  switch (size) {
+    case 4:
+      return BigInt(buffer.readInt32LE(offset))
+    case 8:
+      return buffer.readBigInt64LE(offset)
+    default:
+      return readInt128(buffer, offset)
+  }
+}
+
+/**
+ * Formats an unscaled integer as an exact decimal string with `scale` fractional digits
+ */
+const formatScaled = (unscaled: bigint, scale: number): string => {
+  const negative = unscaled < BigInt(0)
+  let digits = (negative ? -unscaled : unscaled).toString()
+  if (scale > 0) {
+    digits = digits.padStart(scale + 1, '0')
+    digits = digits.slice(0, -scale) + '.' + digits.slice(-scale)
+  }
+  return negative ? '-' + digits : digits
+}
+
+/**
+ * NUMERIC: two's complement integer scaled by 10^scale, 4, 8 or 16 bytes wide
+ * depending on the declared precision
+ */
+export const decodeNumeric = (buffer: Buffer, offset: number, size: number, scale: number): string => {
+  return formatScaled(readScaledInteger(buffer, offset, size), scale)
+}
+
+/**
+ * MONEY: integer amount of cents
+ */
+export const decodeMoney = (buffer: Buffer, offset: number, size: number): string => {
+  return formatScaled(readScaledInteger(buffer, offset, size), 2)
+}
+
+// code points where LATIN9 (ISO-8859-15) differs from LATIN1
+const latin9Overrides: Record<number, string> = {
+  0xa4: '\u20ac', // €
+  0xa6: '\u0160', // Š
+  0xa8: '\u0161', // š
+  0xb4: '\u017d', // Ž
+  0xb8: '\u017e', // ž
+  0xbc: '\u0152', // Œ
+  0xbd: '\u0153', // œ
+  0xbe: '\u0178', // Ÿ
+}
+
+const latin9Regexp = /[\xa4\xa6\xa8\xb4\xb8\xbc-\xbe]/g
+
+const decodeLatin9 = (bytes: Buffer): string => {
+  return bytes.toString('latin1').replace(latin9Regexp, (char) => latin9Overrides[char.charCodeAt(0)])
+}
+
+/**
+ * Character types: NCHAR and NVARCHAR are always UTF-8, CHAR, VARCHAR and
+ * VARFIXEDCHAR are stored in the database character set
+ */
+export const decodeText = (bytes: Buffer, fieldType: number, charset: number): string => {
+  if (fieldType === NzTypeNChar || fieldType === NzTypeNVarChar) {
+    return bytes.toString('utf8')
+  }
+  if (charset === NzCharsetLatin9) {
+    return decodeLatin9(bytes)
+  }
+  return bytes.toString('utf8')
+}
+
+/**
+ * VECTOR: packed little-endian floats. The declared dimension comes from the
+ * descriptor, the element width follows from the payload length; FLOAT8
+ * vectors decode to a Float64Array and everything else to a Float32Array.
+ */
+export const decodeVector = (bytes: Buffer, dimension: number): Float32Array | Float64Array => {
+  if (dimension > 0 && bytes.length === dimension * 8) {
+    const vector = new Float64Array(dimension)
+    for (let i = 0; i < dimension; i++) {
+      vector[i] = bytes.readDoubleLE(i * 8)
+    }
+    return vector
+  }
+  const vector = new Float32Array(Math.floor(bytes.length / 4))
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] = bytes.readFloatLE(i * 4)
+  }
+  return vector
+}
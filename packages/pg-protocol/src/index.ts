@@ -9,3 +9,4 @@ export function parse(stream: NodeJS.ReadableStream, callback: MessageCallback):
 }
 
 export { serialize, DatabaseError }
+export { NzTypeOids, NzDbosTypeNames, nzTypeNameFromOid, nzTypeNameFromDbosType } from './netezza-types'
@@ -28,10 +28,17 @@ export type MessageName =
   | 'authenticationSASLFinal'
   | 'error'
   | 'notice'
+  | 'externalLoadRequest'
+  | 'externalTableAbort'
+  | 'externalUnloadRequest'
+  | 'externalUnloadData'
+  | 'externalLog'
 
 export interface BackendMessage {
   name: MessageName
   length: number
+  // Netezza tags every backend message with the number of the query it answers
+  commandNumber?: number
 }
 
 export const parseComplete: BackendMessage = {
@@ -54,6 +61,12 @@ export const noData: BackendMessage = {
   length: 5,
 }
 
+// Netezza aborted a running external table transfer
+export const externalTableAbort: BackendMessage = {
+  name: 'externalTableAbort',
+  length: 9,
+}
+
 export const portalSuspended: BackendMessage = {
   name: 'portalSuspended',
   length: 5,
@@ -128,6 +141,54 @@ export class CopyDataMessage {
   ) {}
 }
 
+// Netezza asks the client for the data of a REMOTESOURCE external table
+export class ExternalLoadRequestMessage {
+  public readonly name: MessageName = 'externalLoadRequest'
+  constructor(
+    public readonly length: number,
+    public readonly clientVersion: number,
+    public readonly filename: string,
+    public readonly hostVersion: number
+  ) {}
+}
+
+// Netezza starts pushing the data of a REMOTESOURCE external table to the client
+export class ExternalUnloadRequestMessage {
+  public readonly name: MessageName = 'externalUnloadRequest'
+  constructor(
+    public readonly length: number,
+    public readonly clientVersion: number,
+    public readonly formatType: number,
+    public readonly bufferSize: number,
+    public readonly filename: string
+  ) {}
+}
+
+export type ExternalUnloadStatus = 'data' | 'done' | 'error'
+
+// one block of an external table unload, chunk is only set for data blocks
+export class ExternalUnloadDataMessage {
+  public readonly name: MessageName = 'externalUnloadData'
+  constructor(
+    public readonly length: number,
+    public readonly status: ExternalUnloadStatus,
+    public readonly chunk: Buffer | null
+  ) {}
+}
+
+export type ExternalLogKind = 'log' | 'bad'
+
+// the load log or the rejected rows file the server writes for a REMOTESOURCE external table
+export class ExternalLogMessage {
+  public readonly name: MessageName = 'externalLog'
+  constructor(
+    public readonly length: number,
+    public readonly kind: ExternalLogKind,
+    public readonly filename: string,
+    public readonly data: Buffer
+  ) {}
+}
+
 export class CopyResponse {
   public readonly columnTypes: number[]
   constructor(
@@ -148,7 +209,9 @@ export class Field {
     public readonly dataTypeID: number,
     public readonly dataTypeSize: number,
     public readonly dataTypeModifier: number,
-    public readonly format: Mode
+    public readonly format: Mode,
+    // Netezza type name from the oid, results refine it from the DBOS tuple descriptor when one follows
+    public dataTypeName: string = 'UNKNOWN'
   ) {}
 }
 
@@ -0,0 +1,434 @@
+import assert from 'assert'
+import netezzaBuffers, { DbosFieldDesc, DbosFooter } from './testing/netezza-buffers'
+import { BackendMessage, DataRowMessage, RowDescriptionMessage, emptyQuery } from './messages'
+import { Parser } from './parser'
+import {
+  DbosTupleDesc,
+  NzCharsetLatin9,
+  NzCharsetUtf8,
+  NzTypeChar,
+  NzTypeDate,
+  NzTypeInt,
+  NzTypeInt1,
+  NzTypeGeometry,
+  NzTypeInterval,
+  NzTypeJson,
+  NzTypeJsonb,
+  NzTypeJsonpath,
+  NzTypeMoney,
+  NzTypeNChar,
+  NzTypeNVarChar,
+  NzTypeNumeric,
+  NzTypeTime,
+  NzTypeTimeTz,
+  NzTypeTimestamp,
+  NzTypeBinary,
+  NzTypeVarBinary,
+  NzTypeOids,
+  NzTypeVarChar,
+  NzTypeVarFixedChar,
+  NzTypeVector,
+} from './netezza-types'
+
+const int32 = (value: number) => {
+  const buf = Buffer.alloc(4)
+  buf.writeInt32LE(value, 0)
+  return buf
+}
+
+const int64 = (value: bigint) => {
+  const buf = Buffer.alloc(8)
+  buf.writeBigInt64LE(value, 0)
+  return buf
+}
+
+const MICROS = BigInt(1000000)
+
+const parseMessages = (buffer: Buffer): BackendMessage[] => {
+  const parser = new Parser()
+  const messages: BackendMessage[] = []
+  parser.parse(buffer, (msg) => messages.push(msg))
+  return messages
+}
+
+const parseDbosRow = (fields: DbosFieldDesc[], values: (Buffer | null)[], footer?: DbosFooter): any[] => {
+  const names = fields.map((_, i) => ({ name: `col${i}` }))
+  const messages = parseMessages(
+    Buffer.concat([
+      netezzaBuffers.rowDescription(names),
+      netezzaBuffers.dbosTupleDescriptor(fields, footer),
+      netezzaBuffers.dbosDataTuple(fields, values),
+    ])
+  )
+  const row = messages.find((msg) => msg.name === 'dataRow') as DataRowMessage
+  assert(row, 'expected a dataRow message')
+  return row.fields
+}
+
+const parseDbosValue = (field: DbosFieldDesc, value: Buffer | null, footer?: DbosFooter): any =>
+  parseDbosRow([field], [value], footer)[0]
+
+describe('Netezza message headers', function () {
+  it('exposes the command number of every message', function () {
+    const messages = parseMessages(
+      Buffer.concat([
+        netezzaBuffers.frame('C', Buffer.from('SELECT 1\0'), 7),
+        netezzaBuffers.frame('I', Buffer.alloc(0), 8),
+        netezzaBuffers.frame('Z', Buffer.from('I'), 8),
+      ])
+    )
+    assert.deepStrictEqual(
+      messages.map((msg) => [msg.name, msg.commandNumber]),
+      [
+        ['commandComplete', 7],
+        ['emptyQuery', 8],
+        ['readyForQuery', 8],
+      ]
+    )
+  })
+
+  it('does not leak the command number into the shared messages', function () {
+    const messages = parseMessages(
+      Buffer.concat([netezzaBuffers.frame('I', Buffer.alloc(0), 7), netezzaBuffers.frame('I', Buffer.alloc(0), 8)])
+    )
+    assert.deepStrictEqual(
+      messages.map((msg) => msg.commandNumber),
+      [7, 8]
+    )
+    assert.strictEqual(emptyQuery.commandNumber, undefined)
+  })
+})
+
+describe('Netezza DBOS tuples', function () {
+  it('reads fixed and varying fields together', function () {
+    const fields = [
+      { type: NzTypeInt, size: 4 },
+      { type: NzTypeVarChar, size: 20, fixed: false },
+      { type: NzTypeDate, size: 4 },
+    ]
+    const row = parseDbosRow(fields, [int32(42), Buffer.from('hello'), int32(0)])
+    assert.deepStrictEqual(row, [42, 'hello', '2000-01-01'])
+  })
+
+  it('reads the descriptor footer', function () {
+    const footer = { DateStyle: 1, EuroDates: 1, DBcharset: NzCharsetLatin9, EnableTime24: 1 }
+    const [message] = parseMessages(netezzaBuffers.dbosTupleDescriptor([{ type: NzTypeInt, size: 4 }], footer))
+    const tupdesc = (message as any).tupdesc as DbosTupleDesc
+    assert.strictEqual(tupdesc.numFields, 1)
+    assert.strictEqual(tupdesc.DateStyle, 1)
+    assert.strictEqual(tupdesc.EuroDates, 1)
+    assert.strictEqual(tupdesc.DBcharset, NzCharsetLatin9)
+    assert.strictEqual(tupdesc.EnableTime24, 1)
+  })
+
+  it('names fields from their oid and sends the DBOS type names with the descriptor', function () {
+    const rowDescription = netezzaBuffers.rowDescription([
+      { name: 'id', dataTypeID: NzTypeOids.BYTEINT[0] },
+      { name: 'label', dataTypeID: 0 },
+    ])
+    const [message] = parseMessages(rowDescription)
+    const fields = (message as RowDescriptionMessage).fields
+    assert.deepStrictEqual(
+      fields.map((field) => field.dataTypeName),
+      ['BYTEINT', 'UNKNOWN']
+    )
+
+    const descriptor = netezzaBuffers.dbosTupleDescriptor([
+      { type: NzTypeInt1, size: 1 },
+      { type: NzTypeNVarChar, size: 20, fixed: false },
+    ])
+    const [described, dbos] = parseMessages(Buffer.concat([rowDescription, descriptor]))
+    assert.deepStrictEqual((dbos as any).fieldTypeNames, ['BYTEINT', 'NVARCHAR'])
+    assert.deepStrictEqual(
+      (described as RowDescriptionMessage).fields.map((field) => field.dataTypeName),
+      ['BYTEINT', 'UNKNOWN'],
+      'the emitted fields are left alone'
+    )
+  })
+
+  it('reads nulls from the bitmap', function () {
+    const fields = [
+      { type: NzTypeInt, size: 4 },
+      { type: NzTypeTimestamp, size: 8 },
+    ]
+    assert.deepStrictEqual(parseDbosRow(fields, [null, null]), [null, null])
+  })
+
+  describe('date and time types', function () {
+    it('decodes dates', function () {
+      const field = { type: NzTypeDate, size: 4 }
+      assert.strictEqual(parseDbosValue(field, int32(9132)), '2025-01-01')
+      assert.strictEqual(parseDbosValue(field, int32(-1)), '1999-12-31')
+      assert.strictEqual(parseDbosValue(field, int32(-730119)), '0001-01-01')
+      assert.strictEqual(parseDbosValue(field, int32(-730120)), '0001-12-31 BC')
+    })
+
+    it('decodes times', function () {
+      const field = { type: NzTypeTime, size: 8 }
+      const micros = BigInt(13 * 3600 + 5 * 60 + 9) * MICROS + BigInt(120000)
+      assert.strictEqual(parseDbosValue(field, int64(micros)), '13:05:09.12')
+      assert.strictEqual(parseDbosValue(field, int64(BigInt(0))), '00:00:00')
+    })
+
+    it('keeps 24:00:00 only when EnableTime24 is set', function () {
+      const field = { type: NzTypeTime, size: 8 }
+      const endOfDay = int64(BigInt(86400) * MICROS)
+      assert.strictEqual(parseDbosValue(field, endOfDay, { EnableTime24: 1 }), '24:00:00')
+      assert.strictEqual(parseDbosValue(field, endOfDay, { EnableTime24: 0 }), '00:00:00')
+    })
+
+    it('decodes dates the same way whatever the DateStyle', function () {
+      const field = { type: NzTypeDate, size: 4 }
+      const german = { DateStyle: 3, EuroDates: 1 }
+      assert.strictEqual(parseDbosValue(field, int32(9132), german), '2025-01-01')
+    })
+
+    it('decodes timestamps', function () {
+      const field = { type: NzTypeTimestamp, size: 8 }
+      const micros = BigInt(9132 * 86400 + 3600) * MICROS + BigInt(1)
+      assert.strictEqual(parseDbosValue(field, int64(micros)), '2025-01-01 01:00:00.000001')
+      assert.strictEqual(parseDbosValue(field, int64(-MICROS)), '1999-12-31 23:59:59')
+    })
+
+    it('decodes times with time zone', function () {
+      const field = { type: NzTypeTimeTz, size: 12 }
+      const value = Buffer.concat([int64(BigInt(8 * 3600) * MICROS), int32(5 * 3600)])
+      assert.strictEqual(parseDbosValue(field, value), '08:00:00-05:00')
+      const east = Buffer.concat([int64(BigInt(0)), int32(-(5 * 3600 + 30 * 60))])
+      assert.strictEqual(parseDbosValue(field, east), '00:00:00+05:30')
+    })
+
+    it('decodes intervals into a structured object', function () {
+      const field = { type: NzTypeInterval, size: 12 }
+      const micros = BigInt(3 * 86400 + 4 * 3600 + 5 * 60 + 6) * MICROS + BigInt(500000)
+      const interval = parseDbosValue(field, Buffer.concat([int64(micros), int32(14)]))
+      assert.deepStrictEqual(
+        { ...interval },
+        { years: 1, months: 2, days: 3, hours: 4, minutes: 5, seconds: 6, milliseconds: 500 }
+      )
+      assert.strictEqual(interval.toPostgres(), '1 years 2 mons 3 days 04:05:06.5')
+    })
+
+    it('decodes negative intervals', function () {
+      const field = { type: NzTypeInterval, size: 12 }
+      const interval = parseDbosValue(field, Buffer.concat([int64(BigInt(-90) * MICROS), int32(0)]))
+      assert.strictEqual(interval.minutes, -1)
+      assert.strictEqual(interval.seconds, -30)
+      assert.strictEqual(interval.toPostgres(), '-00:01:30')
+    })
+  })
+
+  describe('numeric types', function () {
+    it('decodes 32 bit numerics', function () {
+      const field = { type: NzTypeNumeric, size: 4, precision: 9, scale: 2 }
+      assert.strictEqual(parseDbosValue(field, int32(123456)), '1234.56')
+      assert.strictEqual(parseDbosValue(field, int32(-5)), '-0.05')
+      assert.strictEqual(parseDbosValue(field, int32(0)), '0.00')
+    })
+
+    it('decodes 64 bit numerics without losing precision', function () {
+      const field = { type: NzTypeNumeric, size: 8, precision: 18, scale: 4 }
+      assert.strictEqual(parseDbosValue(field, int64(BigInt('999999999999999999'))), '99999999999999.9999')
+      assert.strictEqual(parseDbosValue(field, int64(BigInt('-10000'))), '-1.0000')
+    })
+
+    it('decodes 128 bit numerics', function () {
+      const field = { type: NzTypeNumeric, size: 16, precision: 38, scale: 10 }
+      const encode = (value: bigint) => {
+        const unsigned = value < BigInt(0) ? value + (BigInt(1) << BigInt(128)) : value
+        const buf = Buffer.alloc(16)
+        for (let word = 0; word < 4; word++) {
+          const shift = BigInt(96 - word * 32)
+          buf.writeUInt32LE(Number((unsigned >> shift) & BigInt(0xffffffff)), word * 4)
+        }
+        return buf
+      }
+      const big = '12345678901234567890123456789.0123456789'
+      assert.strictEqual(parseDbosValue(field, encode(BigInt(big.replace('.', '')))), big)
+      assert.strictEqual(parseDbosValue(field, encode(BigInt('-1'))), '-0.0000000001')
+    })
+
+    it('decodes integer numerics without a decimal point', function () {
+      const field = { type: NzTypeNumeric, size: 8, precision: 15, scale: 0 }
+      assert.strictEqual(parseDbosValue(field, int64(BigInt('-123456789012345'))), '-123456789012345')
+    })
+
+    it('decodes money', function () {
+      const field = { type: NzTypeMoney, size: 4 }
+      assert.strictEqual(parseDbosValue(field, int32(1999)), '19.99')
+    })
+  })
+
+  describe('character types', function () {
+    const latin9 = { DBcharset: NzCharsetLatin9 }
+    const utf8 = { DBcharset: NzCharsetUtf8 }
+
+    it('decodes VARCHAR in a LATIN9 database', function () {
+      const field = { type: NzTypeVarChar, size: 20, fixed: false }
+      const value = Buffer.from([0x4a, 0xfc, 0x72, 0x67, 0x65, 0x6e, 0x20, 0xa4, 0xbc])
+      assert.strictEqual(parseDbosValue(field, value, latin9), 'Jürgen €Œ')
+    })
+
+    it('decodes VARCHAR in a UTF8 database', function () {
+      const field = { type: NzTypeVarChar, size: 20, fixed: false }
+      assert.strictEqual(parseDbosValue(field, Buffer.from('Jürgen €'), utf8), 'Jürgen €')
+    })
+
+    it('decodes fixed CHAR fields with their padding', function () {
+      const field = { type: NzTypeChar, size: 6 }
+      const value = Buffer.from([0x53, 0xe9, 0x6e, 0x20, 0x20, 0x20])
+      assert.strictEqual(parseDbosValue(field, value, latin9), 'Sén   ')
+    })
+
+    it('decodes VARFIXEDCHAR with the database charset', function () {
+      const field = { type: NzTypeVarFixedChar, size: 10, fixed: false }
+      assert.strictEqual(parseDbosValue(field, Buffer.from([0xa6, 0x61]), latin9), 'Ša')
+    })
+
+    it('always decodes NCHAR and NVARCHAR as UTF-8', function () {
+      const nvarchar = { type: NzTypeNVarChar, size: 20, fixed: false }
+      assert.strictEqual(parseDbosValue(nvarchar, Buffer.from('Ωmega'), latin9), 'Ωmega')
+      const nchar = { type: NzTypeNChar, size: 8 }
+      assert.strictEqual(parseDbosValue(nchar, Buffer.from('Zoë    '), latin9), 'Zoë    ')
+    })
+  })
+  describe('binary types', function () {
+    const bytes = Buffer.from([0x00, 0xff, 0xfe, 0x80, 0x41])
+
+    it('returns VARBINARY fields as buffers', function () {
+      const field = { type: NzTypeVarBinary, size: 32, fixed: false }
+      const value = parseDbosValue(field, bytes)
+      assert(Buffer.isBuffer(value))
+      assert.deepStrictEqual(value, bytes)
+      assert.deepStrictEqual(parseDbosValue(field, Buffer.alloc(0)), Buffer.alloc(0))
+    })
+
+    it('returns fixed BINARY fields as buffers', function () {
+      const field = { type: NzTypeBinary, size: 5 }
+      assert.deepStrictEqual(parseDbosValue(field, bytes), bytes)
+    })
+
+    it('returns ST_GEOMETRY fields as WKB buffers', function () {
+      const field = { type: NzTypeGeometry, size: 200, fixed: false }
+      const wkb = Buffer.from('0101000000000000000000f03f0000000000000040', 'hex')
+      assert.deepStrictEqual(parseDbosValue(field, wkb), wkb)
+    })
+
+    it('keeps the raw bytes of binary columns in text rows', function () {
+      const row = Buffer.concat([Buffer.from([0x80]), Buffer.alloc(4), bytes])
+      row.writeInt32BE(bytes.length + 4, 1)
+      const messages = parseMessages(
+        Buffer.concat([
+          netezzaBuffers.rowDescription([{ name: 'hash', dataTypeID: NzTypeOids.VARBINARY[0] }]),
+          netezzaBuffers.frame('D', row),
+        ])
+      )
+      const dataRow = messages.find((msg) => msg.name === 'dataRow') as DataRowMessage
+      assert.deepStrictEqual(dataRow.fields, [bytes])
+    })
+  })
+  describe('vector types', function () {
+    const pack = (values: number[], width: 4 | 8) => {
+      const buf = Buffer.alloc(values.length * width)
+      values.forEach((value, i) => (width === 4 ? buf.writeFloatLE(value, i * 4) : buf.writeDoubleLE(value, i * 8)))
+      return buf
+    }
+
+    it('decodes FLOAT4 vectors into a Float32Array', function () {
+      const field = { type: NzTypeVector, size: 3, fixed: false }
+      const vector = parseDbosValue(field, pack([0.5, -1, 3.25], 4))
+      assert(vector instanceof Float32Array)
+      assert.deepStrictEqual(Array.from(vector), [0.5, -1, 3.25])
+    })
+
+    it('decodes FLOAT8 vectors into a Float64Array', function () {
+      const field = { type: NzTypeVector, size: 2, fixed: false }
+      const vector = parseDbosValue(field, pack([0.1, -2.5], 8))
+      assert(vector instanceof Float64Array)
+      assert.deepStrictEqual(Array.from(vector), [0.1, -2.5])
+    })
+  })
+  describe('json types', function () {
+    it('returns JSON, JSONB and JSONPATH as UTF-8 text for the type parsers', function () {
+      const fields = [
+        { type: NzTypeJson, size: 100, fixed: false },
+        { type: NzTypeJsonb, size: 100, fixed: false },
+        { type: NzTypeJsonpath, size: 100, fixed: false },
+      ]
+      const values = [Buffer.from('{"name":"Zoë"}'), Buffer.from('[1, 2]'), Buffer.from('$.name')]
+      const footer = { DBcharset: NzCharsetLatin9 }
+      assert.deepStrictEqual(parseDbosRow(fields, values, footer), ['{"name":"Zoë"}', '[1, 2]', '$.name'])
+    })
+  })
+  describe('external tables', function () {
+    it('parses remote source load requests', function () {
+      const filename = Buffer.from('/tmp/sales.dat')
+      const body = Buffer.alloc(12 + filename.length)
+      body.writeInt32BE(1, 0)
+      body.writeInt32BE(filename.length, 4)
+      filename.copy(body, 8)
+      body.writeInt32BE(7, 8 + filename.length)
+      const [message] = parseMessages(netezzaBuffers.frame('l', body))
+      assert.strictEqual(message.name, 'externalLoadRequest')
+      assert.strictEqual((message as any).filename, '/tmp/sales.dat')
+      assert.strictEqual((message as any).clientVersion, 1)
+      assert.strictEqual((message as any).hostVersion, 7)
+    })
+
+    it('parses unload requests', function () {
+      const filename = Buffer.from('nodejs-unload')
+      const body = Buffer.alloc(30 + filename.length)
+      body.writeInt16BE(1, 0)
+      body.writeInt32BE(2, 2)
+      body.writeInt32BE(65536, 6)
+      body.writeInt32BE(filename.length, 26)
+      filename.copy(body, 30)
+      const [message] = parseMessages(netezzaBuffers.frame('u', body))
+      assert.strictEqual(message.name, 'externalUnloadRequest')
+      assert.strictEqual((message as any).filename, 'nodejs-unload')
+      assert.strictEqual((message as any).clientVersion, 1)
+      assert.strictEqual((message as any).formatType, 2)
+      assert.strictEqual((message as any).bufferSize, 65536)
+    })
+
+    it('parses unload data blocks', function () {
+      const data = Buffer.alloc(12)
+      data.writeInt32BE(1, 0)
+      data.writeInt32BE(4, 4)
+      data.write('1|a\n', 8)
+      const done = Buffer.alloc(4)
+      done.writeInt32BE(3, 0)
+      const [block, end] = parseMessages(
+        Buffer.concat([netezzaBuffers.frame('U', data), netezzaBuffers.frame('U', done)])
+      )
+      assert.strictEqual(block.name, 'externalUnloadData')
+      assert.strictEqual((block as any).status, 'data')
+      assert.strictEqual((block as any).chunk.toString(), '1|a\n')
+      assert.strictEqual((end as any).status, 'done')
+      assert.strictEqual((end as any).chunk, null)
+    })
+
+    it('parses load log and bad rows files', function () {
+      const file = (type: number, name: string, contents: string) => {
+        const header = Buffer.alloc(8)
+        header.writeInt32BE(type, 0)
+        header.writeInt32BE(name.length, 4)
+        return netezzaBuffers.frame('e', Buffer.concat([header, Buffer.from(name), Buffer.from(contents)]))
+      }
+      const [log, bad] = parseMessages(
+        Buffer.concat([file(1, 'sales.nzlog', 'Load started\n'), file(2, 'sales.nzbad', '2|x\n')])
+      )
+      assert.strictEqual(log.name, 'externalLog')
+      assert.strictEqual((log as any).kind, 'log')
+      assert.strictEqual((log as any).filename, 'sales.nzlog')
+      assert.strictEqual((log as any).data.toString(), 'Load started\n')
+      assert.strictEqual((bad as any).kind, 'bad')
+      assert.strictEqual((bad as any).data.toString(), '2|x\n')
+    })
+
+    it('parses aborted transfers', function () {
+      const [message] = parseMessages(netezzaBuffers.frame('x', Buffer.alloc(4)))
+      assert.strictEqual(message.name, 'externalTableAbort')
+    })
+  })
+})
@@ -32,6 +32,98 @@ export const NzTypeJsonb = 31
 export const NzTypeJsonpath = 32
 export const NzTypeVector = 33
 
+/**
+ * Netezza type names keyed by DBOS `field_type` code
+ */
+export const NzDbosTypeNames: Record<number, string> = {
+  [NzTypeRecAddr]: 'RECADDR',
+  [NzTypeDouble]: 'DOUBLE',
+  [NzTypeInt]: 'INTEGER',
+  [NzTypeFloat]: 'REAL',
+  [NzTypeMoney]: 'MONEY',
+  [NzTypeDate]: 'DATE',
+  [NzTypeNumeric]: 'NUMERIC',
+  [NzTypeTime]: 'TIME',
+  [NzTypeTimestamp]: 'TIMESTAMP',
+  [NzTypeInterval]: 'INTERVAL',
+  [NzTypeTimeTz]: 'TIMETZ',
+  [NzTypeBool]: 'BOOLEAN',
+  [NzTypeInt1]: 'BYTEINT',
+  [NzTypeBinary]: 'BINARY',
+  [NzTypeChar]: 'CHAR',
+  [NzTypeVarChar]: 'VARCHAR',
+  [NzTypeUnknown]: 'UNKNOWN',
+  [NzTypeInt2]: 'SMALLINT',
+  [NzTypeInt8]: 'BIGINT',
+  [NzTypeVarFixedChar]: 'VARFIXEDCHAR',
+  [NzTypeGeometry]: 'ST_GEOMETRY',
+  [NzTypeVarBinary]: 'VARBINARY',
+  [NzTypeNChar]: 'NCHAR',
+  [NzTypeNVarChar]: 'NVARCHAR',
+  [NzTypeJson]: 'JSON',
+  [NzTypeJsonb]: 'JSONB',
+  [NzTypeJsonpath]: 'JSONPATH',
+  [NzTypeVector]: 'VECTOR',
+}
+
+/**
+ * RowDescription type oids keyed by Netezza type name. Netezza reuses the
+ * PostgreSQL oids where a type exists in both and adds its own above 2500.
+ */
+export const NzTypeOids: Record<string, number[]> = {
+  BOOLEAN: [16],
+  BYTEINT: [2500],
+  SMALLINT: [21],
+  INTEGER: [23],
+  BIGINT: [20],
+  REAL: [700],
+  DOUBLE: [701],
+  NUMERIC: [1700],
+  MONEY: [790],
+  CHAR: [1042],
+  VARCHAR: [1043],
+  NCHAR: [2522],
+  NVARCHAR: [2530],
+  DATE: [1082],
+  TIME: [1083],
+  TIMETZ: [1266],
+  TIMESTAMP: [1114],
+  INTERVAL: [1186],
+  VARBINARY: [2568, 17],
+  ST_GEOMETRY: [2569],
+  JSON: [114],
+  JSONB: [3802],
+  JSONPATH: [4072],
+  UNKNOWN: [705],
+}
+
+const oidTypeNames: Record<number, string> = {}
+for (const name of Object.keys(NzTypeOids)) {
+  for (const oid of NzTypeOids[name]) {
+    oidTypeNames[oid] = name
+  }
+}
+
+/**
+ * Netezza type name of a RowDescription oid, `UNKNOWN` for oids not in the registry
+ */
+export const nzTypeNameFromOid = (oid: number): string => oidTypeNames[oid] || 'UNKNOWN'
+
+/**
+ * Netezza type name of a DBOS `field_type` code, `UNKNOWN` for unlisted codes
+ */
+export const nzTypeNameFromDbosType = (fieldType: number): string => NzDbosTypeNames[fieldType] || 'UNKNOWN'
+
+// binary columns in text DataRows carry raw bytes instead of text
+export const isBinaryOid = (oid: number): boolean => {
+  const name = oidTypeNames[oid]
+  return name === 'VARBINARY' || name === 'ST_GEOMETRY'
+}
+
+// Database character sets reported in DbosTupleDesc.DBcharset
+export const NzCharsetLatin9 = 1
+export const NzCharsetUtf8 = 2
+
 /**
  * DBOS Tuple Descriptor
  * Describes the structure of DBOS data tuples
@@ -60,3 +152,11 @@ export class DbosTupleDesc {
   DBcharset: number = 0
   EnableTime24: number = 0
 }
+
+/**
+ * NUMERIC fields pack their precision and scale into `field_size`
+ */
+export const numericPrecision = (tupdesc: DbosTupleDesc, field: number): number =>
+  (tupdesc.field_size[field] >> 8) & 0x7f
+
+export const numericScale = (tupdesc: DbosTupleDesc, field: number): number => tupdesc.field_size[field] & 0xff
@@ -268,6 +268,21 @@ describe('serializer', () => {
     })
   })
 
+  describe('external table messages', function () {
+    it('builds external data', () => {
+      const actual = serialize.externalData(Buffer.from('1|a\n'))
+      assert.deepEqual(actual, new BufferList().addInt32(1).addInt32(4).add(Buffer.from('1|a\n')).join())
+    })
+
+    it('builds external done', () => {
+      assert.deepEqual(serialize.externalDone(), new BufferList().addInt32(3).join())
+    })
+
+    it('builds external error', () => {
+      assert.deepEqual(serialize.externalError(), new BufferList().addInt32(2).join())
+    })
+  })
+
   it('builds cancel message', () => {
     const actual = serialize.cancel(3, 4)
     const expected = new BufferList().addInt16(1234).addInt16(5678).addInt32(3).addInt32(4).join(true)
@@ -25,6 +25,12 @@ import {
   MessageName,
   AuthenticationMD5Password,
   NoticeMessage,
+  ExternalLoadRequestMessage,
+  externalTableAbort,
+  ExternalUnloadRequestMessage,
+  ExternalUnloadDataMessage,
+  ExternalUnloadStatus,
+  ExternalLogMessage,
 } from './messages'
 import { BufferReader } from './buffer-reader'
 import {
@@ -36,7 +42,40 @@ import {
   NzTypeDouble,
   NzTypeFloat,
   NzTypeBool,
+  NzTypeDate,
+  NzTypeTime,
+  NzTypeTimestamp,
+  NzTypeTimeTz,
+  NzTypeInterval,
+  NzTypeNumeric,
+  NzTypeMoney,
+  NzTypeChar,
+  NzTypeVarChar,
+  NzTypeVarFixedChar,
+  NzTypeNChar,
+  NzTypeNVarChar,
+  NzTypeBinary,
+  NzTypeVarBinary,
+  NzTypeVector,
+  NzTypeGeometry,
+  isBinaryOid,
+  nzTypeNameFromOid,
+  nzTypeNameFromDbosType,
+  numericPrecision,
+  numericScale,
 } from './netezza-types'
+import {
+  decodeDate,
+  decodeTime,
+  decodeTimestamp,
+  decodeTimeTz,
+  decodeInterval,
+  decodeNumeric,
+  decodeMoney,
+  numericStorageSize,
+  decodeText,
+  decodeVector,
+} from './dbos-decoders'
 
 // every message is prefixed with a single bye
 const CODE_LENGTH = 1
@@ -58,6 +97,19 @@ export type Packet = {
 
 const emptyBuffer = Buffer.allocUnsafe(0)
 
+// messages without a body are shared instances
+const sharedMessages = new Set<BackendMessage>([
+  bindComplete,
+  parseComplete,
+  closeComplete,
+  noData,
+  portalSuspended,
+  copyDone,
+  replicationStart,
+  emptyQuery,
+  externalTableAbort,
+])
+
 type StreamOptions = TransformOptions & {
   mode: Mode
 }
@@ -88,6 +140,11 @@ const enum MessageCodes {
   NetezzaPortalName = 0x50, // P - Netezza-specific portal name message
   NetezzaDbosTupleDescriptor = 0x58, // X - Netezza DBOS tuple descriptor message
   NetezzaDbosDataTuple = 0x59, // Y - Netezza DBOS data tuple message
+  NetezzaExternalLoad = 0x6c, // l - Netezza requests remote source data for an external table
+  NetezzaExternalAbort = 0x78, // x - Netezza aborted the external table transfer
+  NetezzaExternalUnload = 0x75, // u - Netezza starts an external table unload to a remote source
+  NetezzaExternalUnloadData = 0x55, // U - Netezza external table unload data block
+  NetezzaExternalLog = 0x65, // e - Netezza external table log or bad rows file
 }
 
 export type MessageCallback = (msg: BackendMessage) => void
@@ -99,6 +156,7 @@ export class Parser {
   private reader = new BufferReader()
   private mode: Mode
   private fieldCount: number = 0 // Track field count from RowDescription for DataRow parsing
+  private fieldTypes: number[] = [] // Type oids from RowDescription, binary columns are not decoded as text
   private dbosTupleDesc: DbosTupleDesc | null = null // Netezza DBOS tuple descriptor
 
   constructor(opts?: StreamOptions) {
@@ -144,7 +202,13 @@ export class Parser {
 
       // Check if we have the complete message
       if (fullMessageLength + offset <= bufferFullLength) {
-        const message = this.handlePacket(offset + NETEZZA_HEADER_LENGTH, code, length, this.buffer)
+        let message = this.handlePacket(offset + NETEZZA_HEADER_LENGTH, code, length, this.buffer)
+        if (sharedMessages.has(message)) {
+          // the shared instances must not carry the command number of one query into the next
+          message = { ...message }
+        }
+        // the command number of the 'P' query this message belongs to
+        message.commandNumber = this.buffer.readInt32BE(offset + CODE_LENGTH)
         callback(message)
         offset += fullMessageLength
       } else {
@@ -231,7 +295,7 @@ export class Parser {
         message = emptyQuery
         break
       case MessageCodes.DataRow:
-        message = parseDataRowMessage(reader, this.fieldCount)
+        message = parseDataRowMessage(reader, this.fieldCount, this.fieldTypes)
         break
       case MessageCodes.CommandComplete:
         message = parseCommandCompleteMessage(reader)
@@ -261,6 +325,7 @@ export class Parser {
         message = parseRowDescriptionMessage(reader)
         // Store field count for DataRow parsing
         this.fieldCount = (message as RowDescriptionMessage).fieldCount
+        this.fieldTypes = (message as RowDescriptionMessage).fields.map((field) => field.dataTypeID)
         break
       case MessageCodes.ParameterDescriptionMessage:
         message = parseParameterDescriptionMessage(reader)
@@ -293,6 +358,21 @@ export class Parser {
         // Parse it as a DataRow with DBOS format using the stored tuple descriptor
         message = parseDbosDataRow(reader, this.fieldCount, length, this.dbosTupleDesc)
         break
+      case MessageCodes.NetezzaExternalLoad:
+        message = parseExternalLoadRequest(reader, length)
+        break
+      case MessageCodes.NetezzaExternalAbort:
+        message = externalTableAbort
+        break
+      case MessageCodes.NetezzaExternalUnload:
+        message = parseExternalUnloadRequest(reader, length)
+        break
+      case MessageCodes.NetezzaExternalUnloadData:
+        message = parseExternalUnloadData(reader, length)
+        break
+      case MessageCodes.NetezzaExternalLog:
+        message = parseExternalLog(reader, length)
+        break
       default:
         return new DatabaseError('received invalid response: ' + code.toString(16), length, 'error')
     }
@@ -367,7 +447,16 @@ const parseNetezzaField = (reader: BufferReader) => {
   const tableID = 0
   const columnID = 0
 
-  return new Field(name, tableID, columnID, dataTypeID, dataTypeSize, dataTypeModifier, mode)
+  return new Field(
+    name,
+    tableID,
+    columnID,
+    dataTypeID,
+    dataTypeSize,
+    dataTypeModifier,
+    mode,
+    nzTypeNameFromOid(dataTypeID)
+  )
 }
 
 const parseParameterDescriptionMessage = (reader: BufferReader) => {
@@ -379,7 +468,7 @@ const parseParameterDescriptionMessage = (reader: BufferReader) => {
   return message
 }
 
-const parseDataRowMessage = (reader: BufferReader, fieldCount: number) => {
+const parseDataRowMessage = (reader: BufferReader, fieldCount: number, fieldTypes: number[]) => {
   // Netezza DataRow format: for each field:
   // - 1 byte flag (0x80 or higher = non-null, 0x00 = null)
   // - If non-null: 4 bytes int32 length (includes the 4 bytes itself) + N bytes data
@@ -411,7 +500,10 @@ const parseDataRowMessage = (reader: BufferReader, fieldCount: number) => {
         console.log(`[DataRow] Field ${i}: length=${length}, dataLength=${dataLength}`)
       }
 
-      if (dataLength > 0) {
+      if (isBinaryOid(fieldTypes[i])) {
+        // copy, the parser reuses its buffer for the next chunk
+        fields[i] = Buffer.from(reader.bytes(Math.max(dataLength, 0)))
+      } else if (dataLength > 0) {
         fields[i] = reader.string(dataLength)
         if (process.env.DEBUG_DATAROW) {
           console.log(`[DataRow] Field ${i} value:`, fields[i])
@@ -434,7 +526,8 @@ const parseNetezzaDbosTupleDescriptor = (reader: BufferReader, length: number) =
 
   // The entire message content is the descriptor data
   // Read all remaining bytes as the descriptor
-  const data = reader.bytes(length - 4) // Subtract 4 for the length field itself
+  // Netezza message lengths exclude the length field itself (see Parser.parse)
+  const data = reader.bytes(length)
 
   // Parse the tuple descriptor structure
   const tupdesc = new DbosTupleDesc()
@@ -470,6 +563,13 @@ const parseNetezzaDbosTupleDescriptor = (reader: BufferReader, length: number) =
   // Read footer fields
   tupdesc.DateStyle = data.readInt32BE(dataIdx)
   tupdesc.EuroDates = data.readInt32BE(dataIdx + 4)
+  // older backends stop after EuroDates
+  if (dataIdx + 12 <= data.length) {
+    tupdesc.DBcharset = data.readInt32BE(dataIdx + 8)
+  }
+  if (dataIdx + 16 <= data.length) {
+    tupdesc.EnableTime24 = data.readInt32BE(dataIdx + 12)
+  }
 
   if (process.env.DEBUG_DATAROW) {
     console.log(`[DBOS TupleDescriptor] numFields=${tupdesc.numFields}, fixedFieldsSize=${tupdesc.fixedFieldsSize}`)
@@ -486,9 +586,18 @@ const parseNetezzaDbosTupleDescriptor = (reader: BufferReader, length: number) =
     name: 'dbosTupleDescriptor' as MessageName,
     length: LATEINIT_LENGTH,
     tupdesc,
+    // DBOS field types are more precise than the RowDescription oids, the client refines its field names with them
+    fieldTypeNames: tupdesc.field_type.map(nzTypeNameFromDbosType),
   }
 }
 
+const isDbosTextType = (fieldType: number) =>
+  fieldType === NzTypeChar ||
+  fieldType === NzTypeVarChar ||
+  fieldType === NzTypeVarFixedChar ||
+  fieldType === NzTypeNChar ||
+  fieldType === NzTypeNVarChar
+
 const parseDbosDataRow = (
   reader: BufferReader,
   fieldCount: number,
@@ -606,7 +715,7 @@ const parseDbosDataRow = (
         } else if (fieldType === NzTypeInt8) {
           // INT64
           if (absoluteOffset + 8 <= tupleData.length) {
-            // Read as BigInt and convert to string for compatibility
+            // exact string, the client's type parsers turn it into a BigInt with `bigint: true`
             fields[i] = tupleData.readBigInt64LE(absoluteOffset).toString()
           } else {
             fields[i] = null
@@ -629,6 +738,75 @@ const parseDbosDataRow = (
           } else {
             fields[i] = null
           }
+        } else if (fieldType === NzTypeDate) {
+          if (absoluteOffset + 4 <= tupleData.length) {
+            fields[i] = decodeDate(tupleData, absoluteOffset)
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeTime) {
+          if (absoluteOffset + 8 <= tupleData.length) {
+            fields[i] = decodeTime(tupleData, absoluteOffset, tupdesc.EnableTime24 === 1)
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeTimestamp) {
+          if (absoluteOffset + 8 <= tupleData.length) {
+            fields[i] = decodeTimestamp(tupleData, absoluteOffset)
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeTimeTz) {
+          // int64 time + int32 zone
+          if (absoluteOffset + 12 <= tupleData.length) {
+            fields[i] = decodeTimeTz(tupleData, absoluteOffset)
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeInterval) {
+          // int64 time + int32 months, decoded to a structured interval
+          if (absoluteOffset + 12 <= tupleData.length) {
+            fields[i] = decodeInterval(tupleData, absoluteOffset)
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeNumeric) {
+          // field_size carries precision and scale, the storage width follows from the precision
+          const numericSize = numericStorageSize(numericPrecision(tupdesc, i))
+          if (absoluteOffset + numericSize <= tupleData.length) {
+            fields[i] = decodeNumeric(tupleData, absoluteOffset, numericSize, numericScale(tupdesc, i))
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeMoney) {
+          const moneySize = tupdesc.field_trueSize[i] === 8 ? 8 : 4
+          if (absoluteOffset + moneySize <= tupleData.length) {
+            fields[i] = decodeMoney(tupleData, absoluteOffset, moneySize)
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeChar || fieldType === NzTypeNChar) {
+          // blank padded to the declared width
+          if (absoluteOffset + fieldSize <= tupleData.length) {
+            const bytes = tupleData.slice(absoluteOffset, absoluteOffset + fieldSize)
+            fields[i] = decodeText(bytes, fieldType, tupdesc.DBcharset)
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeBinary) {
+          if (absoluteOffset + fieldSize <= tupleData.length) {
+            // copy, the parser reuses its buffer for the next chunk
+            fields[i] = Buffer.from(tupleData.slice(absoluteOffset, absoluteOffset + fieldSize))
+          } else {
+            fields[i] = null
+          }
+        } else if (fieldType === NzTypeVector) {
+          const vectorSize = tupdesc.field_trueSize[i]
+          if (absoluteOffset + vectorSize <= tupleData.length) {
+            fields[i] = decodeVector(tupleData.slice(absoluteOffset, absoluteOffset + vectorSize), fieldSize)
+          } else {
+            fields[i] = null
+          }
         } else {
           // Unknown fixed-size type, read as buffer
           if (absoluteOffset + fieldSize <= tupleData.length) {
@@ -650,7 +828,19 @@ const parseDbosDataRow = (
           if (fieldLength >= 2 && varOffset + fieldLength <= tupleData.length) {
             // Length includes the 2-byte length prefix itself
             const dataLength = fieldLength - 2
-            fields[i] = tupleData.slice(varOffset + 2, varOffset + 2 + dataLength).toString('utf8')
+            const bytes = tupleData.slice(varOffset + 2, varOffset + 2 + dataLength)
+            if (fieldType === NzTypeVarBinary || fieldType === NzTypeGeometry) {
+              // ST_GEOMETRY values are WKB
+              fields[i] = Buffer.from(bytes)
+            } else if (fieldType === NzTypeVector) {
+              // field_size is the declared dimension
+              fields[i] = decodeVector(bytes, fieldSize)
+            } else if (isDbosTextType(fieldType)) {
+              fields[i] = decodeText(bytes, fieldType, tupdesc.DBcharset)
+            } else {
+              // JSON, JSONB and JSONPATH among others are UTF-8 text, JSON is parsed by the client's type parsers
+              fields[i] = bytes.toString('utf8')
+            }
             varOffset += fieldLength
           } else {
             fields[i] = ''
@@ -757,6 +947,52 @@ const parseAuthenticationResponse = (reader: BufferReader, length: number) => {
   return message
 }
 
+const parseExternalLoadRequest = (reader: BufferReader, length: number) => {
+  // int32 client version, int32 length + file name of the external table, int32 host version
+  const clientVersion = reader.int32()
+  const filenameLength = reader.int32()
+  const filename = reader.string(filenameLength)
+  const hostVersion = length >= 12 + filenameLength ? reader.int32() : 0
+  return new ExternalLoadRequestMessage(length, clientVersion, filename, hostVersion)
+}
+
+const parseExternalUnloadRequest = (reader: BufferReader, length: number) => {
+  // int16 client version, int32 format type, int32 buffer size, 16 reserved bytes, int32 length + file name
+  const clientVersion = reader.int16()
+  const formatType = reader.int32()
+  const bufferSize = reader.int32()
+  reader.bytes(16)
+  const filename = reader.string(reader.int32())
+  return new ExternalUnloadRequestMessage(length, clientVersion, formatType, bufferSize, filename)
+}
+
+// status words of the transfer, shared with the data the client sends for a load
+const externalUnloadStatus: Record<number, ExternalUnloadStatus> = {
+  1: 'data',
+  2: 'error',
+  3: 'done',
+}
+
+const parseExternalUnloadData = (reader: BufferReader, length: number) => {
+  // int32 status, data blocks carry an int32 length + bytes
+  const code = reader.int32()
+  const status = externalUnloadStatus[code]
+  if (!status) {
+    return new DatabaseError('received invalid external table status: ' + code, length, 'error')
+  }
+  const chunk = status === 'data' ? Buffer.from(reader.bytes(reader.int32())) : null
+  return new ExternalUnloadDataMessage(length, status, chunk)
+}
+
+const parseExternalLog = (reader: BufferReader, length: number) => {
+  // int32 file type (1 log, 2 bad rows), int32 length + file name, the file contents fill the rest
+  const kind = reader.int32() === 2 ? 'bad' : 'log'
+  const filenameLength = reader.int32()
+  const filename = reader.string(filenameLength)
+  const data = Buffer.from(reader.bytes(length - 8 - filenameLength))
+  return new ExternalLogMessage(length, kind, filename, data)
+}
+
 const parseNetezzaPortalName = (reader: BufferReader) => {
   // Netezza portal name message - just read and discard the portal name
   const portalName = reader.cstring()
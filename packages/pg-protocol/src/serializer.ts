@@ -228,6 +228,26 @@ const cancel = (processID: number, secretKey: number): Buffer => {
   return buffer
 }
 
+// status words of the remote source transfer, sent without a message code
+const enum ExternalTableStatus {
+  data = 1,
+  error = 2,
+  done = 3,
+}
+
+const externalStatus = (status: ExternalTableStatus): Buffer => {
+  const buffer = Buffer.allocUnsafe(4)
+  buffer.writeInt32BE(status, 0)
+  return buffer
+}
+
+const externalData = (chunk: Buffer): Buffer => {
+  const header = Buffer.allocUnsafe(8)
+  header.writeInt32BE(ExternalTableStatus.data, 0)
+  header.writeInt32BE(chunk.length, 4)
+  return Buffer.concat([header, chunk])
+}
+
 type PortalOpts = {
   type: 'S' | 'P'
   name?: string
@@ -296,6 +316,9 @@ const serialize = {
   copyDone: () => copyDoneBuffer,
   copyFail,
   cancel,
+  externalData,
+  externalDone: () => externalStatus(ExternalTableStatus.done),
+  externalError: () => externalStatus(ExternalTableStatus.error),
 }
 
 export { serialize }
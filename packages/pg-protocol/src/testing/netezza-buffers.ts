@@ -0,0 +1,122 @@
+// Netezza framed backend messages: code (1) + command number (4) + length (4) + body
+// unlike PostgreSQL the length does not include the length field itself
+import BufferList from './buffer-list'
+
+export type DbosFieldDesc = {
+  type: number
+  size: number
+  // fixed-size fields live in the fixed section, the rest are length prefixed
+  fixed?: boolean
+  // NUMERIC fields encode these into field_size, `size` is then the storage width
+  precision?: number
+  scale?: number
+}
+
+export type DbosFooter = {
+  DateStyle?: number
+  EuroDates?: number
+  DBcharset?: number
+  EnableTime24?: number
+}
+
+const frame = (code: string, body: Buffer, commandNumber: number = 1): Buffer => {
+  const header = Buffer.alloc(9)
+  header.write(code, 0)
+  header.writeUInt32BE(commandNumber, 1)
+  header.writeUInt32BE(body.length, 5)
+  return Buffer.concat([header, body])
+}
+
+const isFixed = (field: DbosFieldDesc) => field.fixed !== false
+
+const netezzaBuffers = {
+  frame,
+
+  rowDescription: function (fields: { name: string; dataTypeID?: number; dataTypeSize?: number }[]) {
+    const buf = new BufferList()
+    buf.addInt16(fields.length)
+    for (const field of fields) {
+      buf
+        .addCString(field.name)
+        .addInt32(field.dataTypeID || 0)
+        .addInt16(field.dataTypeSize || 0)
+        .addInt32(-1)
+        .addByte(0)
+    }
+    return frame('T', buf.join())
+  },
+
+  dbosTupleDescriptor: function (fields: DbosFieldDesc[], footer: DbosFooter = {}) {
+    const buf = new BufferList()
+    let fixedSize = 4
+    const numFixed = fields.filter(isFixed).length
+    const offsets = fields.map((field) => {
+      if (!isFixed(field)) {
+        return 0
+      }
+      const offset = fixedSize
+      fixedSize += field.size
+      return offset
+    })
+    buf
+      .addInt32(1) // version
+      .addInt32(1) // nullsAllowed
+      .addInt32(0) // sizeWord
+      .addInt32(2) // sizeWordSize
+      .addInt32(numFixed)
+      .addInt32(fields.length - numFixed)
+      .addInt32(fixedSize)
+      .addInt32(65535) // maxRecordSize
+      .addInt32(fields.length)
+    fields.forEach((field, i) => {
+      const fieldSize = field.precision === undefined ? field.size : (field.precision << 8) | (field.scale || 0)
+      buf
+        .addInt32(field.type)
+        .addInt32(fieldSize)
+        .addInt32(field.size)
+        .addInt32(offsets[i])
+        .addInt32(i)
+        .addInt32(i)
+        .addInt32(1)
+        .addInt32(isFixed(field) ? 1 : 0)
+        .addInt32(0)
+    })
+    buf
+      .addInt32(footer.DateStyle || 0)
+      .addInt32(footer.EuroDates || 0)
+      .addInt32(footer.DBcharset || 0)
+      .addInt32(footer.EnableTime24 || 0)
+    return frame('X', buf.join())
+  },
+
+  // values are the raw little-endian bytes of each field, null for NULL
+  dbosDataTuple: function (fields: DbosFieldDesc[], values: (Buffer | null)[]) {
+    const bitmap = Buffer.alloc(Math.ceil(fields.length / 8))
+    const fixedSize = fields.filter(isFixed).reduce((total, field) => total + field.size, 0)
+    const fixedSection = Buffer.alloc(fixedSize)
+    const varying: Buffer[] = []
+    let offset = 0
+    fields.forEach((field, i) => {
+      const value = values[i]
+      if (value === null) {
+        bitmap[Math.floor(i / 8)] |= 1 << i % 8
+      }
+      if (isFixed(field)) {
+        if (value) {
+          value.copy(fixedSection, offset)
+        }
+        offset += field.size
+      } else if (value) {
+        const length = Buffer.alloc(2)
+        length.writeUInt16LE(value.length + 2, 0)
+        varying.push(length, value)
+      }
+    })
+    const tuple = Buffer.concat([Buffer.alloc(2), bitmap, Buffer.alloc(1), fixedSection, ...varying])
+    const length = Buffer.alloc(4)
+    length.writeInt32BE(tuple.length, 0)
+    return frame('Y', Buffer.concat([length, tuple]))
+  },
+}
+
+export default netezzaBuffers
@@ -1,19 +1,26 @@
 import { Readable } from 'stream'
 import { Submittable, Connection } from 'pg'
 import Cursor from 'pg-cursor'
+import Result from 'netezza-node-driver/lib/result.js'
+// Netezza has no bind parameters, the values are interpolated the way the Netezza driver does it
+import { interpolateValues } from 'netezza-node-driver/lib/utils.js'
 
 interface QueryStreamConfig {
   batchSize?: number
   highWaterMark?: number
   rowMode?: 'array'
   types?: any
+  netezza?: boolean
 }
 
 class QueryStream extends Readable implements Submittable {
   cursor: any
   _result: any
+  _connection: any = null
+  _socketPaused: boolean = false
 
   handleRowDescription: Function
+  handleDbosTupleDescriptor: Function
   handleDataRow: Function
   handlePortalSuspended: Function
   handleCommandComplete: Function
@@ -29,6 +36,7 @@ class QueryStream extends Readable implements Submittable {
 
     // delegate Submittable callbacks to cursor
     this.handleRowDescription = this.cursor.handleRowDescription.bind(this.cursor)
+    this.handleDbosTupleDescriptor = this.cursor.handleDbosTupleDescriptor.bind(this.cursor)
     this.handleDataRow = this.cursor.handleDataRow.bind(this.cursor)
     this.handlePortalSuspended = this.cursor.handlePortalSuspended.bind(this.cursor)
     this.handleCommandComplete = this.cursor.handleCommandComplete.bind(this.cursor)
@@ -40,11 +48,81 @@ class QueryStream extends Readable implements Submittable {
     this._result = this.cursor._result
   }
 
-  public submit(connection: Connection): void {
-    this.cursor.submit(connection)
+  public submit(connection: Connection): void | Error {
+    const conf = this.cursor._conf
+    const netezza = conf.netezza !== undefined ? Boolean(conf.netezza) : (connection as any).commandNumber >= 0
+    if (!netezza) {
+      this.cursor.submit(connection)
+      return
+    }
+    return this._submitNetezza(connection)
+  }
+
+  // Netezza runs the query as is and the socket is paused while the stream buffer is full,
+  // so rows are only read from the server as fast as they are consumed
+  private _submitNetezza(connection: Connection): void | Error {
+    const cursor = this.cursor
+    let text = cursor.text
+    if (cursor._rawValues && cursor._rawValues.length) {
+      try {
+        text = interpolateValues(text, cursor._rawValues)
+      } catch (err) {
+        return err
+      }
+    }
+    // the driver's Result returns the values already decoded from DBOS tuples as they are,
+    // the types the client gave the cursor's result are kept
+    this._result = new Result(cursor._conf.rowMode, this._result._types || cursor._conf.types)
+    this._connection = connection
+
+    this.handleRowDescription = (msg) => this._result.addFields(msg.fields)
+    this.handleDbosTupleDescriptor = (msg) => this._result.addDbosTypeNames(msg.fieldTypeNames || [])
+    this.handleDataRow = (msg) => {
+      if (this.destroyed) {
+        // keep reading until the server is done, the rows are not wanted anymore
+        return
+      }
+      if (!this.push(this._result.parseRow(msg.fields))) {
+        this._pauseSocket()
+      }
+    }
+    this.handlePortalSuspended = () => {}
+    this.handleCommandComplete = (msg) => this._result.addCommandComplete(msg)
+    this.handleEmptyQuery = () => {}
+    this.handleReadyForQuery = () => {
+      this._resumeSocket()
+      this._connection = null
+      this.push(null)
+    }
+    this.handleError = (err) => {
+      this._resumeSocket()
+      this.destroy(err)
+    }
+
+    connection.query(text)
+  }
+
+  private _pauseSocket() {
+    if (this._connection && !this._socketPaused) {
+      this._socketPaused = true
+      this._connection.stream.pause()
+    }
+  }
+
+  private _resumeSocket() {
+    if (this._socketPaused) {
+      this._socketPaused = false
+      this._connection.stream.resume()
+    }
   }
 
   public _destroy(_err: Error, cb: Function) {
+    if (this._connection) {
+      // the query keeps running, the remaining rows are dropped as they arrive
+      this._resumeSocket()
+      cb(_err)
+      return
+    }
     this.cursor.close((err?: Error) => {
       cb(err || _err)
     })
@@ -52,6 +130,10 @@ class QueryStream extends Readable implements Submittable {
 
   // https://nodejs.org/api/stream.html#stream_readable_read_size_1
   public _read(size: number) {
+    if (this._connection) {
+      this._resumeSocket()
+      return
+    }
     this.cursor.read(size, (err: Error, rows: any[]) => {
       if (err) {
         // https://nodejs.org/api/stream.html#stream_errors_while_reading
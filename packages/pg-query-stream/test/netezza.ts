@@ -0,0 +1,113 @@
+import assert from 'assert'
+import { EventEmitter } from 'events'
+import { Writable } from 'stream'
+import QueryStream from '../src'
+
+// a Netezza connection whose socket is paused and resumed by the stream
+function fakeConnection() {
+  const con: any = new EventEmitter()
+  con.commandNumber = 1
+  con.queries = []
+  con.query = (text) => con.queries.push(text)
+  con.stream = { paused: false, pause: () => (con.stream.paused = true), resume: () => (con.stream.paused = false) }
+  return con
+}
+
+function sendRows(stream: QueryStream, count: number, start = 0) {
+  for (let i = start; i < start + count; i++) {
+    stream.handleDataRow({ fields: [String(i)] })
+  }
+}
+
+describe('netezza', function () {
+  it('runs the query without a cursor and pauses the socket while the buffer is full', function (done) {
+    const con = fakeConnection()
+    const stream = new QueryStream('SELECT num FROM numbers', [], { highWaterMark: 2 })
+    stream.submit(con)
+    assert.deepEqual(con.queries, ['SELECT num FROM numbers'])
+
+    stream.handleRowDescription({ fields: [{ name: 'num', dataTypeID: 25 }] })
+    sendRows(stream, 3)
+    assert.equal(con.stream.paused, true)
+
+    // the server sends the rest once the socket is read from again
+    con.stream.resume = () => {
+      con.stream.paused = false
+      con.stream.resume = () => (con.stream.paused = false)
+      setImmediate(() => {
+        sendRows(stream, 2, 3)
+        stream.handleCommandComplete({ text: 'SELECT 5' })
+        stream.handleReadyForQuery()
+      })
+    }
+
+    const rows = []
+    const slow = new Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write(row, encoding, callback) {
+        rows.push(row.num)
+        setTimeout(callback, 1)
+      },
+    })
+    stream.pipe(slow)
+    slow.on('finish', () => {
+      assert.deepEqual(rows, ['0', '1', '2', '3', '4'])
+      assert.equal(con.stream.paused, false)
+      done()
+    })
+  })
+
+  it('interpolates the values into the query', function () {
+    const con = fakeConnection()
+    const stream = new QueryStream('SELECT num FROM numbers WHERE name = $1 OR name = $2', ['one', "it's"])
+    stream.submit(con)
+    assert.deepEqual(con.queries, ["SELECT num FROM numbers WHERE name = 'one' OR name = 'it''s'"])
+  })
+
+  it('returns buffers decoded from DBOS tuples as they are', function (done) {
+    const con = fakeConnection()
+    const stream = new QueryStream('SELECT data FROM blobs')
+    stream.submit(con)
+    const data = Buffer.from([0, 1, 255])
+    stream.handleRowDescription({ fields: [{ name: 'data', dataTypeID: 17, format: 'binary' }] })
+    stream.handleDbosTupleDescriptor({ fieldTypeNames: ['VARBINARY'] })
+    stream.handleDataRow({ fields: [data] })
+    stream.handleCommandComplete({ text: 'SELECT 1' })
+    stream.handleReadyForQuery()
+    const rows = []
+    stream.on('data', (row) => rows.push(row))
+    stream.on('end', () => {
+      assert.equal(rows.length, 1)
+      assert.strictEqual(rows[0].data, data)
+      done()
+    })
+  })
+
+  it('drops the remaining rows once destroyed', function (done) {
+    const con = fakeConnection()
+    const stream = new QueryStream('SELECT num FROM numbers', [], { highWaterMark: 1 })
+    stream.submit(con)
+    stream.handleRowDescription({ fields: [{ name: 'num', dataTypeID: 25 }] })
+    sendRows(stream, 2)
+    assert.equal(con.stream.paused, true)
+    stream.destroy()
+    stream.on('close', () => {
+      assert.equal(con.stream.paused, false)
+      sendRows(stream, 2, 2)
+      stream.handleReadyForQuery()
+      done()
+    })
+  })
+
+  it('fails the stream on errors', function (done) {
+    const con = fakeConnection()
+    const stream = new QueryStream('SELECT num FROM numbers', [], {})
+    stream.submit(con)
+    stream.on('error', (err) => {
+      assert.equal(err.message, 'boom')
+      done()
+    })
+    stream.handleError(new Error('boom'))
+  })
+})
@@ -7,11 +7,17 @@ export const Pool = pg.Pool
 export const Connection = pg.Connection
 export const types = pg.types
 export const Query = pg.Query
+export const LoadQuery = pg.LoadQuery
 export const DatabaseError = pg.DatabaseError
 export const escapeIdentifier = pg.escapeIdentifier
 export const escapeLiteral = pg.escapeLiteral
 export const Result = pg.Result
 export const TypeOverrides = pg.TypeOverrides
+export const NzDecimal = pg.NzDecimal
+export const wkbToGeoJSON = pg.wkbToGeoJSON
+export const geoJSONToWkb = pg.geoJSONToWkb
+export const toCSV = pg.toCSV
+export const toNDJSON = pg.toNDJSON
 
 // Also export the defaults
 export const defaults = pg.defaults
@@ -0,0 +1,140 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const Query = require('./query')
+const utils = require('./utils')
+
+// sends several queries back to back without waiting for each readyForQuery. The server answers them in
+// order and tags every message with the command number of the query it belongs to, which routes the
+// messages to the results of the right query
+class BatchQuery extends EventEmitter {
+  constructor(queries, callback) {
+    super()
+    if (!Array.isArray(queries) || !queries.length) {
+      throw new TypeError('batch requires a non-empty array of queries')
+    }
+    this.queries = queries.map((config) => new Query(config))
+    this.callback = callback
+    this._byCommandNumber = new Map()
+    this._errors = this.queries.map(() => null)
+    this._current = 0
+    this._pending = this.queries.length
+    this._done = false
+  }
+
+  submit(connection) {
+    // every text is prepared before anything is sent so a bad parameter does not leave half a batch running
+    const texts = []
+    for (const query of this.queries) {
+      if (typeof query.text !== 'string') {
+        return new Error('A batched query must have text')
+      }
+      if (query.values && !Array.isArray(query.values)) {
+        return new Error('Query values must be an array')
+      }
+      try {
+        texts.push(query.values && query.values.length ? utils.interpolateValues(query.text, query.values) : query.text)
+      } catch (err) {
+        return err
+      }
+    }
+    connection.stream.cork && connection.stream.cork()
+    try {
+      texts.forEach((text, i) => {
+        connection.query(text)
+        this._byCommandNumber.set(connection.commandNumber, i)
+      })
+    } finally {
+      connection.stream.uncork && connection.stream.uncork()
+    }
+    return null
+  }
+
+  // the query a message belongs to, messages without a known command number go to the query in progress
+  _queryFor(msg) {
+    const index = msg && this._byCommandNumber.get(msg.commandNumber)
+    if (index !== undefined) {
+      this._current = index
+    }
+    return this.queries[this._current]
+  }
+
+  handleRowDescription(msg) {
+    this._queryFor(msg).handleRowDescription(msg)
+  }
+
+  handleDbosTupleDescriptor(msg) {
+    this._queryFor(msg).handleDbosTupleDescriptor(msg)
+  }
+
+  handleDataRow(msg) {
+    this._queryFor(msg).handleDataRow(msg)
+  }
+
+  handleCommandComplete(msg, connection) {
+    this._queryFor(msg).handleCommandComplete(msg, connection)
+  }
+
+  handleNotice(msg) {
+    this._queryFor(msg).handleNotice(msg)
+  }
+
+  handleEmptyQuery() {}
+
+  handlePortalSuspended() {}
+
+  handleCopyInResponse(connection) {
+    connection.sendCopyFail('No source stream defined')
+  }
+
+  handleCopyData() {}
+
+  handleError(err) {
+    const index = this._byCommandNumber.get(err.commandNumber)
+    if (index !== undefined && !this._done) {
+      // the other queries keep running, the error is reported once they are done
+      this._errors[index] = err
+      this._current = index
+      return
+    }
+    // not tied to one of the queries: the batch failed as a whole
+    this._finish(err)
+  }
+
+  // called for every readyForQuery, the batch keeps the connection until the last query is done
+  handleStatementReady(connection, msg) {
+    const query = this._queryFor(msg)
+    if (query._canceledDueToError && !this._errors[this._current]) {
+      this._errors[this._current] = query._canceledDueToError
+    }
+    this._current++
+    this._pending--
+    // after a failure of the whole batch the remaining answers are still read so they do not reach the next query
+    return this._pending > 0
+  }
+
+  handleReadyForQuery() {
+    const results = this.queries.map((query, i) => this._errors[i] || query._results)
+    const err = this._errors.find(Boolean)
+    if (err) {
+      err.results = results
+    }
+    this._finish(err || null, results)
+  }
+
+  _finish(err, results) {
+    if (this._done) {
+      return
+    }
+    this._done = true
+    if (this.callback) {
+      return this.callback(err, results)
+    }
+    if (err) {
+      return this.emit('error', err)
+    }
+    this.emit('end', results)
+  }
+}
+
+module.exports = BatchQuery
@@ -1,19 +1,59 @@
 'use strict'
 
 const EventEmitter = require('events').EventEmitter
+const { Readable, pipeline } = require('stream')
 const utils = require('./utils')
 const nodeUtils = require('node:util')
 const os = require('os')
 const sasl = require('./crypto/sasl')
 const TypeOverrides = require('./type-overrides')
+const { getDecimalParser } = require('./decimal')
+const { normalizeDateTime } = require('./datestyle')
 
 const ConnectionParameters = require('./connection-parameters')
 const Query = require('./query')
+const LoadQuery = require('./load-query')
+const UnloadQuery = require('./unload-query')
+const { rowFormat, formatLoadRows } = require('./load-rows')
+const QueryIterator = require('./query-iterator')
+const BatchQuery = require('./batch-query')
+const { exportFormats } = require('./export')
 const defaults = require('./defaults')
 const Connection = require('./connection')
 const crypto = require('./crypto/utils')
 const { NZ_NODE_CLIENT_VERSION } = require('./version')
 
+// PostgreSQL session limits and the Netezza session variables they are set through, null when Netezza has none
+const sessionLimits = {
+  statement_timeout: 'QUERY_TIMEOUT',
+  lock_timeout: null,
+  idle_in_transaction_session_timeout: null,
+}
+
+// Netezza never receives a startup message, the limits are set after the handshake. Its timeouts count
+// whole minutes while the options are given in milliseconds
+const sessionLimitStatements = function (params) {
+  const statements = []
+  for (const name of Object.keys(sessionLimits)) {
+    if (!params[name]) {
+      continue
+    }
+    const variable = sessionLimits[name]
+    if (!variable) {
+      throw new Error(`${name} is not supported by Netezza`)
+    }
+    const millis = parseInt(params[name], 10)
+    if (!(millis > 0) || millis % 60000 !== 0) {
+      throw new Error(`${name} must be a whole number of minutes on Netezza, got ${params[name]}ms`)
+    }
+    statements.push(`SET ${variable} TO ${millis / 60000}`)
+  }
+  return statements
+}
+
+const trimCharPadding = (value) => value.replace(/ +$/, '')
+const keepText = (value) => value
+
 const activeQueryDeprecationNotice = nodeUtils.deprecate(
   () => {},
   'Client.activeQuery is deprecated and will be removed in a future version.'
@@ -63,6 +103,35 @@ class Client extends EventEmitter {
     }
     this._Promise = c.Promise || global.Promise
     this._types = new TypeOverrides(c.types)
+    // NUMERIC and MONEY arrive as exact decimal strings, optionally turned into decimal objects
+    if (c.decimal && c.decimal !== 'string') {
+      const parseDecimal = getDecimalParser(c.decimal)
+      this._types.setTypeParser('NUMERIC', parseDecimal)
+      this._types.setTypeParser('MONEY', parseDecimal)
+    }
+    if (c.trimChar) {
+      this._types.setTypeParser('CHAR', trimCharPadding)
+      this._types.setTypeParser('NCHAR', trimCharPadding)
+    }
+    // INT8 stays a string by default since it does not fit a javascript number
+    if (c.bigint) {
+      this._types.setTypeParser('BIGINT', BigInt)
+    }
+    if (c.jsonAsText) {
+      this._types.setTypeParser('JSON', keepText)
+      this._types.setTypeParser('JSONB', keepText)
+    }
+    // what is set up on every new session, each built-in statement can be turned off
+    this._session = Object.assign({ clientVersion: true, audit: true, encoding: 'utf8' }, c.session)
+    this._onConnect = c.onConnect
+    // DateStyle set when connecting, null keeps the server default
+    this.dateStyle = c.dateStyle === undefined ? 'ISO' : c.dateStyle
+    // day/month order of non-ISO text dates, updated from every DBOS tuple descriptor
+    this._euroDates = /european|euro|dmy|german/i.test(this.dateStyle || '')
+    for (const type of ['DATE', 'TIMESTAMP']) {
+      const parseIso = this._types.getTypeParser(type)
+      this._types.setTypeParser(type, (value) => parseIso(normalizeDateTime(value, this._euroDates)))
+    }
     this._ending = false
     this._ended = false
     this._connecting = false
@@ -78,6 +147,8 @@ class Client extends EventEmitter {
     this.pgOptions = c.pgOptions
     this.appName = c.appName
     this.netezzaDebug = c.debug || false
+    // cancel requests open a connection of their own
+    this._cancelStream = typeof c.stream === 'function' ? c.stream : undefined
     this.connection =
       c.connection ||
       new Connection({
@@ -142,7 +213,7 @@ class Client extends EventEmitter {
     this._queryQueue.length = 0
   }
 
-  _connect(callback) {
+  _connect(callback, signal) {
     const self = this
     const con = this.connection
     this._connectionCallback = callback
@@ -154,6 +225,28 @@ class Client extends EventEmitter {
       })
       return
     }
+    try {
+      this._initQueries = this._sessionStatements()
+    } catch (err) {
+      process.nextTick(() => callback(err))
+      return
+    }
+    if (signal) {
+      if (signal.aborted) {
+        process.nextTick(() => callback(utils.abortError(signal)))
+        return
+      }
+      // destroying the socket also stops a handshake in progress, the connect fails with the abort error
+      const onAbort = () => {
+        con._ending = true
+        con.stream.destroy(utils.abortError(signal))
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      this._connectionCallback = (err) => {
+        signal.removeEventListener('abort', onAbort)
+        callback(err)
+      }
+    }
     this._connecting = true
     this._runningInitQueries = true
 
@@ -191,11 +284,26 @@ class Client extends EventEmitter {
       // Set flag to indicate we're running init queries
       self._runningInitQueries = true
 
-      // Send Netezza initialization queries for Guardium audit logging
-      // Wait for them to complete before marking client as connected
-      self._sendNetezzaInitQueries(() => {
-        // Mark init queries as complete
+      const finish = (err) => {
+        // the connection already failed, e.g. the socket closed during the onConnect hook
+        if (self._connectionError || self._ended) {
+          return
+        }
         self._runningInitQueries = false
+        clearTimeout(self.connectionTimeoutHandle)
+        if (err) {
+          // a session that is not set up as configured is closed and connect fails
+          self._connectionError = true
+          self._connecting = false
+          self.end()
+          if (self._connectionCallback) {
+            self._connectionCallback(err)
+            self._connectionCallback = null
+          } else {
+            self.emit('error', err)
+          }
+          return
+        }
 
         // Mark as connected only after init queries complete
         self._connecting = false
@@ -206,6 +314,19 @@ class Client extends EventEmitter {
           self._connectionCallback = null
         }
         self.emit('connect')
+      }
+
+      // Send the session init queries, then run the onConnect hook, before the client counts as connected
+      self._sendNetezzaInitQueries((err) => {
+        if (err || !self._onConnect) {
+          return finish(err)
+        }
+        Promise.resolve()
+          .then(() => self._onConnect(self))
+          .then(
+            () => finish(null),
+            (err) => finish(err)
+          )
       })
     })
 
@@ -244,9 +365,14 @@ class Client extends EventEmitter {
     })
   }
 
-  connect(callback) {
+  connect(options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    const signal = options && options.signal
     if (callback) {
-      this._connect(callback)
+      this._connect(callback, signal)
       return
     }
 
@@ -257,7 +383,7 @@ class Client extends EventEmitter {
         } else {
           resolve()
         }
-      })
+      }, signal)
     })
   }
 
@@ -285,6 +411,12 @@ class Client extends EventEmitter {
     con.on('copyData', this._handleCopyData.bind(this))
     con.on('notification', this._handleNotification.bind(this))
     con.on('netezzaPortalName', this._handleNetezzaPortalName.bind(this))
+    con.on('dbosTupleDescriptor', this._handleDbosTupleDescriptor.bind(this))
+    con.on('externalLoadRequest', this._handleExternalLoadRequest.bind(this))
+    con.on('externalTableAbort', this._handleExternalTableAbort.bind(this))
+    con.on('externalUnloadRequest', this._handleExternalUnloadRequest.bind(this))
+    con.on('externalUnloadData', this._handleExternalUnloadData.bind(this))
+    con.on('externalLog', this._handleExternalLog.bind(this))
   }
 
   _getPassword(cb) {
@@ -400,6 +532,11 @@ class Client extends EventEmitter {
       this.emit('connect')
     }
     const activeQuery = this._getActiveQuery()
+    // submittables that run several statements in turn, like Netezza cursors,
+    // keep the connection until they report they are done
+    if (activeQuery && activeQuery.handleStatementReady && activeQuery.handleStatementReady(this.connection, msg)) {
+      return
+    }
     this._activeQuery = null
     this.readyForQuery = true
     if (activeQuery) {
@@ -437,7 +574,8 @@ class Client extends EventEmitter {
 
   // handle error messages from the postgres backend
   _handleErrorMessage(msg) {
-    if (this._connecting) {
+    // while connecting only the session init queries and the onConnect hook run queries
+    if (this._connecting && !this._getActiveQuery()) {
       return this._handleErrorWhileConnecting(msg)
     }
     const activeQuery = this._getActiveQuery()
@@ -447,7 +585,10 @@ class Client extends EventEmitter {
       return
     }
 
-    this._activeQuery = null
+    // a submittable running several statements stays active to clean up once the server is ready again
+    if (!activeQuery.handleStatementReady) {
+      this._activeQuery = null
+    }
     activeQuery.handleError(msg, this.connection)
   }
 
@@ -533,6 +674,45 @@ class Client extends EventEmitter {
     this._getActiveQuery().handleCopyData(msg, this.connection)
   }
 
+  _handleExternalLoadRequest(msg) {
+    const activeQuery = this._getActiveQuery()
+    if (activeQuery && activeQuery.handleExternalLoadRequest) {
+      activeQuery.handleExternalLoadRequest(msg, this.connection)
+    } else {
+      // the statement was not started with client.load, there is no data to send
+      this.connection.sendExternalError()
+    }
+  }
+
+  _handleExternalTableAbort(msg) {
+    const activeQuery = this._getActiveQuery()
+    if (activeQuery && activeQuery.handleExternalTableAbort) {
+      activeQuery.handleExternalTableAbort(msg)
+    }
+  }
+
+  _handleExternalUnloadRequest(msg) {
+    const activeQuery = this._getActiveQuery()
+    if (activeQuery && activeQuery.handleExternalUnloadRequest) {
+      activeQuery.handleExternalUnloadRequest(msg, this.connection)
+    }
+  }
+
+  _handleExternalUnloadData(msg) {
+    // data of a statement not started with client.unload has nowhere to go and is dropped
+    const activeQuery = this._getActiveQuery()
+    if (activeQuery && activeQuery.handleExternalUnloadData) {
+      activeQuery.handleExternalUnloadData(msg, this.connection)
+    }
+  }
+
+  _handleExternalLog(msg) {
+    const activeQuery = this._getActiveQuery()
+    if (activeQuery && activeQuery.handleExternalLog) {
+      activeQuery.handleExternalLog(msg, this.connection)
+    }
+  }
+
   _handleNotification(msg) {
     this.emit('notification', msg)
   }
@@ -554,6 +734,15 @@ class Client extends EventEmitter {
     }
   }
 
+  _handleDbosTupleDescriptor(msg) {
+    // the descriptor reports the session settings, text dates follow its day/month order
+    this._euroDates = msg.tupdesc.EuroDates === 1
+    const activeQuery = this._getActiveQuery()
+    if (activeQuery && activeQuery.handleDbosTupleDescriptor) {
+      activeQuery.handleDbosTupleDescriptor(msg)
+    }
+  }
+
   getStartupConf() {
     const params = this.connectionParameters
 
@@ -585,22 +774,64 @@ class Client extends EventEmitter {
     return data
   }
 
-  cancel(client, query) {
-    if (client.activeQuery === query) {
-      const con = this.connection
-
-      if (this.host && this.host.indexOf('/') === 0) {
-        con.connect(this.host + '/.s.PGSQL.' + this.port)
-      } else {
-        con.connect(this.port, this.host)
+  // stops the running query on the server with a CancelRequest sent over a separate connection, using the
+  // backend key received during the handshake. The query then fails with the server's cancel error.
+  // A query still waiting in the queue is removed and fails right away. cancel(client, query) cancels a query
+  // of another client.
+  cancel(query, callback) {
+    let client = this
+    if (query instanceof Client) {
+      client = query
+      query = callback
+      callback = undefined
+    }
+    if (typeof query === 'function') {
+      callback = query
+      query = undefined
+    }
+    const activeQuery = client._getActiveQuery()
+    const run = (done) => {
+      if (query && query !== activeQuery) {
+        const index = client._queryQueue.indexOf(query)
+        if (index !== -1) {
+          client._queryQueue.splice(index, 1)
+          process.nextTick(() =>
+            query.handleError(new Error('Query was canceled before it was sent'), client.connection)
+          )
+        }
+        return process.nextTick(done)
       }
+      if (!activeQuery) {
+        return process.nextTick(done)
+      }
+      if (client.processID === null) {
+        return process.nextTick(done, new Error('Cannot cancel the query, the server sent no backend key data'))
+      }
+      client._sendCancelRequest(done)
+    }
+    if (callback) {
+      run(callback)
+      return
+    }
+    return new this._Promise((resolve, reject) => run((err) => (err ? reject(err) : resolve())))
+  }
 
-      // once connection is established send cancel message
-      con.on('connect', function () {
-        con.cancel(client.processID, client.secretKey)
-      })
-    } else if (client._queryQueue.indexOf(query) !== -1) {
-      client._queryQueue.splice(client._queryQueue.indexOf(query), 1)
+  _sendCancelRequest(callback) {
+    // the same stream settings as the session's connection
+    const con = new Connection({ stream: this._cancelStream, ssl: this.connectionParameters.ssl })
+    let done = false
+    const finish = (err) => {
+      if (!done) {
+        done = true
+        callback(err)
+      }
+    }
+    con.once('error', finish)
+    con.once('end', () => finish())
+    if (this.host && this.host.indexOf('/') === 0) {
+      con.sendCancelRequest(this.host + '/.s.PGSQL.' + this.port, undefined, this.processID, this.secretKey)
+    } else {
+      con.sendCancelRequest(this.port, this.host, this.processID, this.secretKey)
     }
   }
 
@@ -682,29 +913,28 @@ class Client extends EventEmitter {
 
       readTimeoutTimer = setTimeout(() => {
         const error = new Error('Query read timeout')
-
-        process.nextTick(() => {
-          query.handleError(error, this.connection)
-        })
-
-        queryCallback(error)
-
-        // we already returned an error,
-        // just do nothing if query completes
-        query.callback = () => {}
-
-        // Remove from queue
-        const index = this._queryQueue.indexOf(query)
-        if (index > -1) {
-          this._queryQueue.splice(index, 1)
+        const running = this._getActiveQuery() === query
+        this._stopQuery(query, error)
+        if (running && queryCallback) {
+          // report the timeout right away through the whole callback chain, so the other wrappers still clean
+          // up. The query stays active and swallows what the server still sends for it until readyForQuery,
+          // so nothing reaches the next query in the queue
+          query.callback(error)
         }
-
-        this._pulseQueryQueue()
       }, readTimeout)
 
-      query.callback = (err, res) => {
-        clearTimeout(readTimeoutTimer)
-        queryCallback(err, res)
+      // submittables without a callback fail through their own events, a late timer finds nothing to stop
+      if (queryCallback) {
+        let reported = false
+        query.callback = (err, res) => {
+          clearTimeout(readTimeoutTimer)
+          // the canceled query completes later, its outcome is already reported
+          if (reported) {
+            return
+          }
+          reported = true
+          queryCallback(err, res)
+        }
       }
     }
 
@@ -712,6 +942,11 @@ class Client extends EventEmitter {
       query.binary = true
     }
 
+    if (query instanceof Query) {
+      // the client query.cancel() goes through
+      query._client = this
+    }
+
     if (query._result && !query._result._types) {
       query._result._types = this._types
     }
@@ -730,11 +965,44 @@ class Client extends EventEmitter {
       return result
     }
 
+    if (query.signal) {
+      const signal = query.signal
+      if (signal.aborted) {
+        process.nextTick(() => {
+          query.handleError(utils.abortError(signal), this.connection)
+        })
+        return result
+      }
+      const onAbort = () => this._stopQuery(query, utils.abortError(signal))
+      signal.addEventListener('abort', onAbort, { once: true })
+      if (query.callback) {
+        const callback = query.callback
+        query.callback = (err, res) => {
+          signal.removeEventListener('abort', onAbort)
+          callback(err, res)
+        }
+      }
+    }
+
     this._queryQueue.push(query)
     this._pulseQueryQueue()
     return result
   }
 
+  // a queued query is dropped, a running one is canceled on the server and reports `err` instead of the
+  // server's error once the server is done with it
+  _stopQuery(query, err) {
+    const index = this._queryQueue.indexOf(query)
+    if (index !== -1) {
+      this._queryQueue.splice(index, 1)
+      query.handleError(err, this.connection)
+    } else if (this._getActiveQuery() === query) {
+      query._canceledDueToError = err
+      // if the cancel request cannot be sent the query runs to its end and then fails
+      this.cancel(query, () => {})
+    }
+  }
+
   ref() {
     this.connection.ref()
   }
@@ -743,52 +1011,75 @@ class Client extends EventEmitter {
     this.connection.unref()
   }
 
-  _sendNetezzaInitQueries(callback) {
-    // Send initialization queries for Netezza Guardium audit logging
-    // These queries configure the session and log client information
-    // Execute them synchronously before allowing user queries
-
-    const queries = [
-      // Query 1: Set client version
-      `SET CLIENT_VERSION = '${NZ_NODE_CLIENT_VERSION}'`,
-
-      // Query 2: Send client information (for Guardium audit logs)
-      `select version(), 'Netezza Node.js Client Version: ${NZ_NODE_CLIENT_VERSION}', '${os.arch()}', 'OS Platform: ${os.platform()}', 'OS Username: ${
-        os.userInfo().username
-      }'`,
-
-      // Query 3: Set DateStyle to ISO
-      "set DateStyle to 'ISO'",
-
-      // Query 4: Set encoding to UTF-8
-      "set nz_encoding to 'utf8'",
+  // the statements setting up a new session, an invalid option throws before anything is sent
+  _sessionStatements() {
+    const session = this._session
+    const settings = session.settings || {}
+    const statements = [
+      // client version, picked up by the Guardium audit logs
+      session.clientVersion && `SET CLIENT_VERSION = '${NZ_NODE_CLIENT_VERSION}'`,
+
+      // client information for the Guardium audit logs
+      session.audit &&
+        `select version(), 'Netezza Node.js Client Version: ${NZ_NODE_CLIENT_VERSION}', '${os.arch()}', 'OS Platform: ${os.platform()}', 'OS Username: ${
+          os.userInfo().username
+        }'`,
+
+      // DateStyle, ISO unless configured otherwise
+      this.dateStyle && `set DateStyle to ${utils.prepareLiteral(this.dateStyle)}`,
+
+      session.encoding && `set nz_encoding to ${utils.prepareLiteral(session.encoding)}`,
+      session.timezone && `SET TIME ZONE ${utils.prepareLiteral(session.timezone)}`,
+      session.schema && `SET SCHEMA ${utils.prepareIdentifier(session.schema)}`,
+
+      // statement_timeout and the other session limits
+      ...sessionLimitStatements(this.connectionParameters),
+
+      ...Object.keys(settings).map((name) => {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+          throw new TypeError(`Invalid session setting name "${name}"`)
+        }
+        const value = settings[name]
+        return `SET ${name} TO ${value == null ? 'DEFAULT' : utils.prepareLiteral(value)}`
+      }),
     ]
+    return statements.filter(Boolean)
+  }
 
-    let completedCount = 0
-    const totalQueries = queries.length
-
-    const checkComplete = () => {
-      completedCount++
-      if (completedCount === totalQueries) {
-        if (this.netezzaDebug) {
-          console.log('[Client] All init queries completed')
-        }
-        if (callback) callback()
-      }
+  _sendNetezzaInitQueries(callback) {
+    // Runs the session statements before any user query. A failing statement fails connect
+    // unless session.ignoreErrors is set
+    const queries = this._initQueries || []
+    const ignoreErrors = this._session.ignoreErrors
+    let remaining = queries.length
+    let failed = false
+
+    if (!remaining) {
+      return callback(null)
     }
 
-    // Execute queries in order
     queries.forEach((sql) => {
       if (this.netezzaDebug) {
         console.log('[Client] Queuing init query:', sql)
       }
       const query = new Query(sql, [], (err) => {
+        if (failed) {
+          return
+        }
+        if (err && !ignoreErrors) {
+          failed = true
+          return callback(err)
+        }
         if (err && this.netezzaDebug) {
-          console.error('[Client] Init query failed (non-critical):', sql, err.message)
+          console.error('[Client] Init query failed (ignored):', sql, err.message)
+        }
+        if (--remaining === 0) {
+          if (this.netezzaDebug) {
+            console.log('[Client] All init queries completed')
+          }
+          callback(null)
         }
-        checkComplete()
       })
-      // Add to queue
       this._queryQueue.push(query)
     })
 
@@ -796,6 +1087,132 @@ class Client extends EventEmitter {
     this._pulseQueryQueue()
   }
 
+  // iterates over the rows of a query with `for await`, at most `batchSize` rows are buffered
+  iterate(config, values, options) {
+    if (values && !Array.isArray(values)) {
+      options = values
+      values = undefined
+    }
+    const { batchSize = 100, ...queryOptions } = options || {}
+    if (!(batchSize > 0)) {
+      throw new TypeError('batchSize must be a positive number')
+    }
+    config = typeof config === 'string' ? { text: config, values } : { values, ...config }
+    return new QueryIterator(this, { ...queryOptions, ...config }, batchSize)
+  }
+
+  // sends the queries back to back without waiting for each one to complete, saving a round trip per query.
+  // resolves with the results in the order of the queries
+  batch(queries, callback) {
+    const query = new BatchQuery(queries)
+    for (const batched of query.queries) {
+      if (!batched._result._types) {
+        batched._result._types = this._types
+      }
+    }
+    if (callback) {
+      this.query(query, callback)
+      return
+    }
+    return new this._Promise((resolve, reject) => {
+      query.callback = (err, res) => (err ? reject(err) : resolve(res))
+      this.query(query)
+    })
+  }
+
+  // bulk loads a table from a Readable of delimited text through a REMOTESOURCE external table
+  load(table, source, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    if (!source || typeof source.on !== 'function') {
+      throw new TypeError('Client.load requires a readable stream')
+    }
+    const query = new LoadQuery(table, source, options)
+    if (callback) {
+      this.query(query, callback)
+      return
+    }
+    return new this._Promise((resolve, reject) => {
+      query.callback = (err, res) => (err ? reject(err) : resolve(res))
+      this.query(query)
+    })
+  }
+
+  // inserts arrays or objects through a remote source load, the table is described first to learn its columns
+  insertRows(table, rows, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    if (!rows || (typeof rows[Symbol.iterator] !== 'function' && typeof rows[Symbol.asyncIterator] !== 'function')) {
+      throw new TypeError('Client.insertRows requires an array or iterable of rows')
+    }
+    if (typeof table !== 'string' || !table) {
+      throw new TypeError('Client.insertRows requires a table name')
+    }
+    const { columns, ...loadOptions } = options || {}
+    const using = { ...rowFormat, ...loadOptions }
+    const result = this.query(`SELECT * FROM ${utils.prepareIdentifier(table)} LIMIT 0`).then((res) => {
+      const source = Readable.from(formatLoadRows(rows, res.fields, columns, using))
+      return this.load(table, source, { columns, ...using })
+    })
+    if (callback) {
+      result.then(
+        (res) => process.nextTick(callback, null, res),
+        (err) => process.nextTick(callback, err)
+      )
+      return
+    }
+    return result
+  }
+
+  // unloads the rows of a query into a Writable through a REMOTESOURCE external table
+  unload(sql, destination, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    if (!destination || typeof destination.write !== 'function') {
+      throw new TypeError('Client.unload requires a writable stream')
+    }
+    const query = new UnloadQuery(sql, destination, options)
+    if (callback) {
+      this.query(query, callback)
+      return
+    }
+    return new this._Promise((resolve, reject) => {
+      query.callback = (err, res) => (err ? reject(err) : resolve(res))
+      this.query(query)
+    })
+  }
+
+  // streams the rows of a query into a Writable as CSV or NDJSON text, reading from the socket only as fast as
+  // the destination takes the text
+  export(config, format, destination, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+    const createStream = exportFormats[format]
+    if (!createStream) {
+      throw new TypeError(`Unknown export format "${format}"`)
+    }
+    if (!destination || typeof destination.write !== 'function') {
+      throw new TypeError('Client.export requires a writable stream')
+    }
+    const { batchSize, values, ...formatOptions } = options || {}
+    const rows = this.iterate(config, values, { batchSize })
+    const formatter = createStream({ fields: () => rows.query._result.fields, ...formatOptions })
+    const run = (done) => pipeline(Readable.from(rows), formatter, destination, (err) => done(err, rows.query._result))
+    if (callback) {
+      run((err, res) => (err ? callback(err) : callback(null, res)))
+      return
+    }
+    return new this._Promise((resolve, reject) => run((err, res) => (err ? reject(err) : resolve(res))))
+  }
+
   end(cb) {
     this._ending = true
 
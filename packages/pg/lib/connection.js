@@ -125,6 +125,15 @@ class Connection extends EventEmitter {
             self.stream.emit('data', result.remainingBuffer)
           }
 
+          // the backend key arrives during the handshake, before the parser is attached
+          if (result.processID != null) {
+            self.emit('backendKeyData', {
+              name: 'backendKeyData',
+              processID: result.processID,
+              secretKey: result.secretKey,
+            })
+          }
+
           if (self.debug) {
             console.log('[Connection] Emitting readyForQuery event after handshake')
           }
@@ -224,6 +233,20 @@ class Connection extends EventEmitter {
     this._send(serialize.cancel(processID, secretKey))
   }
 
+  // connects without a handshake and sends a CancelRequest for the session identified by the backend key,
+  // the server reads it and closes the connection. 'end' is emitted once it is closed
+  sendCancelRequest(port, host, processID, secretKey) {
+    this.stream.once('connect', () => {
+      this.stream.write(serialize.cancel(processID, secretKey))
+      this.stream.end()
+      // read until the server closes the connection, nothing is expected
+      this.stream.resume && this.stream.resume()
+    })
+    this.stream.once('error', (err) => this.emit('error', err))
+    this.stream.once('close', () => this.emit('end'))
+    this.stream.connect(port, host)
+  }
+
   password(password) {
     this._send(serialize.password(password))
   }
@@ -352,6 +375,19 @@ class Connection extends EventEmitter {
   sendCopyFail(msg) {
     this._send(serialize.copyFail(msg))
   }
+
+  // remote source data for an external table load, returns false when the socket buffer is full
+  sendExternalData(chunk) {
+    return this._send(serialize.externalData(chunk))
+  }
+
+  endExternalData() {
+    this._send(serialize.externalDone())
+  }
+
+  sendExternalError() {
+    this._send(serialize.externalError())
+  }
 }
 
 module.exports = Connection
@@ -0,0 +1,53 @@
+'use strict'
+
+// Text rows are formatted with the session DateStyle. The type parsers only understand ISO,
+// so dates in the SQL, Postgres and German styles are rewritten to ISO before parsing.
+// The layout of each style is distinct, only the day/month order needs the EuroDates setting.
+
+const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+// SQL: 12/17/1997, Postgres date: 12-17-1997, German: 17.12.1997
+const numericDateRegexp = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4,})(.*)$/
+// Postgres timestamp: Wed Dec 17 07:37:16.25 1997 [zone] [BC]
+const postgresRegexp = /^[A-Za-z]{3} ([A-Za-z]{3}) (\d{1,2}) (\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?) (\d{4,})(.*)$/
+// time zones are kept when numeric, abbreviations cannot be mapped to an offset
+const zoneRegexp = /^ ?([+-]\d{2}(?::?\d{2}){0,2})?(?: [A-Za-z]+)*?( BC)?$/
+
+const pad = (value) => String(value).padStart(2, '0')
+
+const isoDate = (year, month, day) => `${year.padStart(4, '0')}-${pad(month)}-${pad(day)}`
+
+const isoRest = (rest) => {
+  const match = zoneRegexp.exec(rest)
+  if (!match) {
+    return rest
+  }
+  return (match[1] || '') + (match[2] || '')
+}
+
+// rewrites a DATE or TIMESTAMP text value to ISO, ISO values are returned unchanged
+const normalizeDateTime = function (text, euroDates) {
+  const numeric = numericDateRegexp.exec(text)
+  if (numeric) {
+    const [, first, separator, second, year, rest] = numeric
+    // German style is always day first
+    const dayFirst = euroDates || separator === '.'
+    const month = dayFirst ? second : first
+    const day = dayFirst ? first : second
+    const time = /^ \d/.test(rest) ? ' ' + rest.trim().split(' ')[0] : ''
+    return isoDate(year, month, day) + time + isoRest(rest.slice(time.length))
+  }
+  const postgres = postgresRegexp.exec(text)
+  if (postgres) {
+    const [, monthName, day, time, year, rest] = postgres
+    const month = months.indexOf(monthName.toLowerCase()) + 1
+    if (month > 0) {
+      return `${isoDate(year, month, day)} ${time}${isoRest(rest)}`
+    }
+  }
+  return text
+}
+
+module.exports = {
+  normalizeDateTime,
+}
@@ -0,0 +1,60 @@
+'use strict'
+
+const decimalRegexp = /^([+-])?(\d*)(?:\.(\d*))?$/
+
+// exact decimal value backed by a BigInt holding the unscaled digits
+class NzDecimal {
+  constructor(unscaled, scale) {
+    this.unscaled = BigInt(unscaled)
+    this.scale = scale || 0
+  }
+
+  static parse(text) {
+    const match = decimalRegexp.exec(String(text).trim())
+    if (!match || (!match[2] && !match[3])) {
+      throw new TypeError(`invalid decimal value "${text}"`)
+    }
+    const fraction = match[3] || ''
+    const unscaled = BigInt((match[2] || '0') + fraction)
+    return new NzDecimal(match[1] === '-' ? -unscaled : unscaled, fraction.length)
+  }
+
+  toString() {
+    const negative = this.unscaled < BigInt(0)
+    let digits = (negative ? -this.unscaled : this.unscaled).toString()
+    if (this.scale > 0) {
+      digits = digits.padStart(this.scale + 1, '0')
+      digits = digits.slice(0, -this.scale) + '.' + digits.slice(-this.scale)
+    }
+    return negative ? '-' + digits : digits
+  }
+
+  // lossy conversion, only use it when the value is known to fit a double
+  toNumber() {
+    return Number(this.toString())
+  }
+
+  toJSON() {
+    return this.toString()
+  }
+
+  toPostgres() {
+    return this.toString()
+  }
+}
+
+// returns the text parser used for NUMERIC and MONEY columns for the given `decimal` option
+function getDecimalParser(mode) {
+  if (typeof mode === 'function') {
+    return mode
+  }
+  if (mode === 'bigint') {
+    return NzDecimal.parse
+  }
+  throw new TypeError(`Unsupported decimal mode "${mode}", expected 'string', 'bigint' or a function`)
+}
+
+module.exports = {
+  NzDecimal,
+  getDecimalParser,
+}
@@ -0,0 +1,176 @@
+'use strict'
+
+const { Transform } = require('stream')
+const utils = require('./utils')
+const { formatDate } = require('./load-rows')
+
+const csvDefaults = {
+  delimiter: ',',
+  quote: '"',
+  quoteAll: false,
+  header: true,
+  nullValue: '',
+  newline: '\n',
+  dateFormat: formatDate,
+}
+
+const ndjsonDefaults = {
+  newline: '\n',
+  dateFormat: formatDate,
+}
+
+const escapeRegexp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// formats a column value as CSV text, following the same mapping as query parameters
+const formatCSVValue = function (val, dataTypeName, options) {
+  if (val instanceof Date) {
+    return options.dateFormat(val, dataTypeName)
+  }
+  if (val instanceof Buffer) {
+    return val.toString('hex')
+  }
+  if (utils.isJsonValue(val)) {
+    return JSON.stringify(val)
+  }
+  return utils.prepareValue(val)
+}
+
+// converts a column value to something JSON can represent without losing precision
+const formatJSONValue = function (val, dataTypeName, options) {
+  if (val == null) {
+    return null
+  }
+  if (val instanceof Date) {
+    return options.dateFormat(val, dataTypeName)
+  }
+  if (val instanceof Buffer) {
+    return val.toString('hex')
+  }
+  if (typeof val === 'bigint') {
+    // JSON numbers cannot hold every 64-bit integer
+    return val.toString()
+  }
+  if (ArrayBuffer.isView(val)) {
+    return Array.from(val)
+  }
+  if (typeof val.toPostgres === 'function') {
+    return utils.prepareValue(val)
+  }
+  return val
+}
+
+const createQuote = function (options) {
+  const quote = options.quote
+  const special = new RegExp(`${escapeRegexp(quote)}|${escapeRegexp(options.delimiter)}|\r|\n`)
+  const quotes = new RegExp(escapeRegexp(quote), 'g')
+  return (text) => {
+    // empty strings and values reading as the null marker are quoted so they stay distinct from NULL
+    if (options.quoteAll || special.test(text) || text === '' || text === options.nullValue) {
+      return quote + text.replace(quotes, quote + quote) + quote
+    }
+    return text
+  }
+}
+
+// turns query rows, objects or arrays, into CSV or NDJSON text.
+// the columns and their types come from `options.fields`, from a piped stream's result
+// or else from the keys of the first row
+class ExportStream extends Transform {
+  constructor(format, options) {
+    super({ writableObjectMode: true })
+    this.format = format
+    this.options = { ...(format === 'csv' ? csvDefaults : ndjsonDefaults), ...options }
+    this._getFields = typeof this.options.fields === 'function' ? this.options.fields : () => this.options.fields
+    this._columns = null
+    this._started = false
+    this._quote = format === 'csv' ? createQuote(this.options) : null
+    this.on('pipe', (source) => {
+      if (!this.options.fields && source._result) {
+        this._getFields = () => source._result.fields
+      }
+    })
+  }
+
+  _resolveColumns(row) {
+    const fields = this._getFields()
+    if (fields && fields.length) {
+      this._columns = fields.map((field) => ({ name: field.name, dataTypeName: field.dataTypeName }))
+    } else if (row && !Array.isArray(row)) {
+      this._columns = Object.keys(row).map((name) => ({ name, dataTypeName: undefined }))
+    } else {
+      this._columns = null
+      return
+    }
+    if (this.format === 'csv' && this.options.header) {
+      const header = this._columns.map((column) => this._quote(column.name))
+      this.push(header.join(this.options.delimiter) + this.options.newline)
+    }
+  }
+
+  _values(row) {
+    if (Array.isArray(row)) {
+      return row
+    }
+    return this._columns.map((column) => row[column.name])
+  }
+
+  _formatCSV(row) {
+    const values = this._values(row).map((val, i) => {
+      if (val == null) {
+        return this.options.nullValue
+      }
+      const column = this._columns && this._columns[i]
+      return this._quote(formatCSVValue(val, column && column.dataTypeName, this.options))
+    })
+    return values.join(this.options.delimiter) + this.options.newline
+  }
+
+  _formatNDJSON(row) {
+    const values = this._values(row)
+    if (!this._columns) {
+      return JSON.stringify(values.map((val) => formatJSONValue(val, undefined, this.options))) + this.options.newline
+    }
+    const line = {}
+    this._columns.forEach((column, i) => {
+      line[column.name] = formatJSONValue(values[i], column.dataTypeName, this.options)
+    })
+    return JSON.stringify(line) + this.options.newline
+  }
+
+  _transform(row, encoding, callback) {
+    if (!this._started) {
+      this._started = true
+      this._resolveColumns(row)
+    }
+    let line
+    try {
+      line = this.format === 'csv' ? this._formatCSV(row) : this._formatNDJSON(row)
+    } catch (err) {
+      return callback(err)
+    }
+    callback(null, line)
+  }
+
+  _flush(callback) {
+    if (!this._started) {
+      // a header is still written for a query without rows when its fields are known
+      this._started = true
+      this._resolveColumns(null)
+    }
+    callback()
+  }
+}
+
+const toCSV = (options) => new ExportStream('csv', options)
+const toNDJSON = (options) => new ExportStream('ndjson', options)
+
+const exportFormats = {
+  csv: toCSV,
+  ndjson: toNDJSON,
+}
+
+module.exports = {
+  toCSV,
+  toNDJSON,
+  exportFormats,
+}
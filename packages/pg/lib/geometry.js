@@ -0,0 +1,187 @@
+'use strict'
+
+// ST_GEOMETRY values are well-known binary (WKB), these helpers convert them to and from GeoJSON
+
+const wkbTypes = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection',
+}
+
+const wkbCodes = Object.create(null)
+for (const code of Object.keys(wkbTypes)) {
+  wkbCodes[wkbTypes[code]] = Number(code)
+}
+
+// EWKB flags as written by PostGIS style encoders
+const EWKB_Z = 0x80000000
+const EWKB_M = 0x40000000
+const EWKB_SRID = 0x20000000
+
+class WkbReader {
+  constructor(buffer) {
+    this.buffer = buffer
+    this.offset = 0
+    this.littleEndian = true
+  }
+
+  byte() {
+    return this.buffer[this.offset++]
+  }
+
+  uint32() {
+    const value = this.littleEndian ? this.buffer.readUInt32LE(this.offset) : this.buffer.readUInt32BE(this.offset)
+    this.offset += 4
+    return value
+  }
+
+  double() {
+    const value = this.littleEndian ? this.buffer.readDoubleLE(this.offset) : this.buffer.readDoubleBE(this.offset)
+    this.offset += 8
+    return value
+  }
+}
+
+const readGeometry = (reader) => {
+  reader.littleEndian = reader.byte() === 1
+  let type = reader.uint32()
+  let hasZ = (type & EWKB_Z) !== 0
+  let hasM = (type & EWKB_M) !== 0
+  if (type & EWKB_SRID) {
+    reader.uint32()
+  }
+  type = type & 0x0fffffff
+  // ISO WKB encodes the dimensions in the thousands
+  const dimensions = Math.floor(type / 1000)
+  hasZ = hasZ || dimensions === 1 || dimensions === 3
+  hasM = hasM || dimensions === 2 || dimensions === 3
+  type = type % 1000
+
+  const point = () => {
+    const coordinates = [reader.double(), reader.double()]
+    if (hasZ) {
+      coordinates.push(reader.double())
+    }
+    if (hasM) {
+      // GeoJSON has no measure, skip it
+      reader.double()
+    }
+    return coordinates
+  }
+  const repeat = (read) => {
+    const count = reader.uint32()
+    const items = []
+    for (let i = 0; i < count; i++) {
+      items.push(read())
+    }
+    return items
+  }
+  const ring = () => repeat(point)
+  const polygon = () => repeat(ring)
+
+  switch (wkbTypes[type]) {
+    case 'Point': {
+      const coordinates = point()
+      // an empty point is encoded with NaN coordinates
+      return { type: 'Point', coordinates: coordinates.some(isNaN) ? [] : coordinates }
+    }
+    case 'LineString':
+      return { type: 'LineString', coordinates: ring() }
+    case 'Polygon':
+      return { type: 'Polygon', coordinates: polygon() }
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      return { type: wkbTypes[type], coordinates: repeat(() => readGeometry(reader).coordinates) }
+    case 'GeometryCollection':
+      return { type: 'GeometryCollection', geometries: repeat(() => readGeometry(reader)) }
+    default:
+      throw new TypeError(`Unsupported WKB geometry type ${type}`)
+  }
+}
+
+// converts a WKB buffer returned for an ST_GEOMETRY column to a GeoJSON geometry object
+const wkbToGeoJSON = function (buffer) {
+  if (buffer == null) {
+    return null
+  }
+  return readGeometry(new WkbReader(buffer))
+}
+
+const hasZ = (geometry) => {
+  if (geometry.type === 'GeometryCollection') {
+    return geometry.geometries.some(hasZ)
+  }
+  let coordinates = geometry.coordinates
+  while (Array.isArray(coordinates) && Array.isArray(coordinates[0])) {
+    coordinates = coordinates[0]
+  }
+  return Array.isArray(coordinates) && coordinates.length > 2
+}
+
+const writeGeometry = (geometry, is3d, parts) => {
+  const code = wkbCodes[geometry && geometry.type]
+  if (!code) {
+    throw new TypeError(`Unsupported GeoJSON geometry type "${geometry && geometry.type}"`)
+  }
+  const header = Buffer.alloc(5)
+  header[0] = 1
+  header.writeUInt32LE(is3d ? code + 1000 : code, 1)
+  parts.push(header)
+
+  const uint32 = (value) => {
+    const buf = Buffer.alloc(4)
+    buf.writeUInt32LE(value, 0)
+    parts.push(buf)
+  }
+  const point = (coordinates) => {
+    const buf = Buffer.alloc(is3d ? 24 : 16)
+    buf.writeDoubleLE(coordinates.length ? coordinates[0] : NaN, 0)
+    buf.writeDoubleLE(coordinates.length ? coordinates[1] : NaN, 8)
+    if (is3d) {
+      buf.writeDoubleLE(coordinates.length > 2 ? coordinates[2] : 0, 16)
+    }
+    parts.push(buf)
+  }
+  const list = (items, write) => {
+    uint32(items.length)
+    items.forEach(write)
+  }
+  const ring = (coordinates) => list(coordinates, point)
+  const polygon = (coordinates) => list(coordinates, ring)
+  const member = (type) => (coordinates) => writeGeometry({ type, coordinates }, is3d, parts)
+
+  switch (geometry.type) {
+    case 'Point':
+      return point(geometry.coordinates)
+    case 'LineString':
+      return ring(geometry.coordinates)
+    case 'Polygon':
+      return polygon(geometry.coordinates)
+    case 'MultiPoint':
+      return list(geometry.coordinates, member('Point'))
+    case 'MultiLineString':
+      return list(geometry.coordinates, member('LineString'))
+    case 'MultiPolygon':
+      return list(geometry.coordinates, member('Polygon'))
+    default:
+      return list(geometry.geometries, (child) => writeGeometry(child, is3d, parts))
+  }
+}
+
+// converts a GeoJSON geometry, or a Feature wrapping one, to little-endian WKB
+const geoJSONToWkb = function (geojson) {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson
+  const parts = []
+  writeGeometry(geometry, Boolean(geometry) && hasZ(geometry), parts)
+  return Buffer.concat(parts)
+}
+
+module.exports = {
+  wkbToGeoJSON,
+  geoJSONToWkb,
+}
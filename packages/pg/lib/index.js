@@ -7,6 +7,10 @@ const Result = require('./result')
 const utils = require('./utils')
 const Pool = require('pg-pool')
 const TypeOverrides = require('./type-overrides')
+const LoadQuery = require('./load-query')
+const { NzDecimal } = require('./decimal')
+const { wkbToGeoJSON, geoJSONToWkb } = require('./geometry')
+const { toCSV, toNDJSON } = require('./export')
 const { DatabaseError } = require('pg-protocol')
 const { escapeIdentifier, escapeLiteral } = require('./utils')
 
@@ -22,12 +26,18 @@ const PG = function (clientConstructor) {
   this.defaults = defaults
   this.Client = clientConstructor
   this.Query = this.Client.Query
+  this.LoadQuery = LoadQuery
   this.Pool = poolFactory(this.Client)
   this._pools = []
   this.Connection = Connection
   this.types = require('pg-types')
   this.DatabaseError = DatabaseError
   this.TypeOverrides = TypeOverrides
+  this.NzDecimal = NzDecimal
+  this.wkbToGeoJSON = wkbToGeoJSON
+  this.geoJSONToWkb = geoJSONToWkb
+  this.toCSV = toCSV
+  this.toNDJSON = toNDJSON
   this.escapeIdentifier = escapeIdentifier
   this.escapeLiteral = escapeLiteral
   this.Result = Result
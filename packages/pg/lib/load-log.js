@@ -0,0 +1,48 @@
+'use strict'
+
+// Rejected rows are listed in the load log, one line per row:
+//   1: 2(3) [1, INT4] expected field delimiter or end of record, "12"[a]
+// bad row number: input row number(byte offset) [field number, declaration] reason, "text consumed"[last char]
+const badRowRegexp = /^\s*(\d+): (\d+)\((\d+)\) \[(\d+), ([^\]]*)\] (.*)$/
+const consumedRegexp = /^(.*), "(.*)"\[(.*)\]$/
+
+const parseBadRowLine = function (line) {
+  const match = badRowRegexp.exec(line)
+  if (!match) {
+    return null
+  }
+  const [, badRow, inputRow, offset, field, declaration, diagnostic] = match
+  const consumed = consumedRegexp.exec(diagnostic)
+  return {
+    badRow: Number(badRow),
+    inputRow: Number(inputRow),
+    offset: Number(offset),
+    field: Number(field),
+    declaration,
+    reason: consumed ? consumed[1] : diagnostic,
+    consumed: consumed ? consumed[2] : null,
+    lastChar: consumed ? consumed[3] : null,
+    row: null,
+  }
+}
+
+// pairs the rejected rows of the bad file with the reasons given in the log
+const parseLoadLog = function (log, bad) {
+  const rows = bad ? bad.split('\n') : []
+  if (rows[rows.length - 1] === '') {
+    rows.pop()
+  }
+  const badRows = []
+  for (const line of (log || '').split('\n')) {
+    const badRow = parseBadRowLine(line)
+    if (badRow) {
+      badRow.row = rows[badRow.badRow - 1] === undefined ? null : rows[badRow.badRow - 1]
+      badRows.push(badRow)
+    }
+  }
+  return badRows
+}
+
+module.exports = {
+  parseLoadLog,
+}
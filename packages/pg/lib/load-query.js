@@ -0,0 +1,171 @@
+'use strict'
+
+const Query = require('./query')
+const utils = require('./utils')
+const { parseLoadLog } = require('./load-log')
+
+// load and unload options and the external table option each one maps to
+const externalTableOptions = {
+  delimiter: 'DELIMITER',
+  escapeChar: 'ESCAPECHAR',
+  nullValue: 'NULLVALUE',
+  quotedValue: 'QUOTEDVALUE',
+  dateStyle: 'DATESTYLE',
+  dateDelim: 'DATEDELIM',
+  timeStyle: 'TIMESTYLE',
+  timeDelim: 'TIMEDELIM',
+  boolStyle: 'BOOLSTYLE',
+  encoding: 'ENCODING',
+  skipRows: 'SKIPROWS',
+  maxErrors: 'MAXERRORS',
+  fillRecord: 'FILLRECORD',
+  ctrlChars: 'CTRLCHARS',
+  includeHeader: 'INCLUDEHEADER',
+  remoteSource: 'REMOTESOURCE',
+}
+
+// the server echoes the external table name back in its load request, any name will do
+const EXTERNAL_NAME = 'nodejs-load'
+
+const optionValue = function (value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value).toUpperCase()
+  }
+  return utils.prepareLiteral(String(value))
+}
+
+// builds the USING clause of a REMOTESOURCE external table from load or unload options
+const buildUsingClause = function (options) {
+  const using = { remoteSource: 'ODBC', ...options }
+  const clauses = Object.keys(using)
+    .filter((key) => using[key] !== undefined)
+    .map((key) => {
+      if (!Object.prototype.hasOwnProperty.call(externalTableOptions, key)) {
+        throw new TypeError(`Unknown external table option "${key}"`)
+      }
+      return `${externalTableOptions[key]} ${optionValue(using[key])}`
+    })
+  return `USING (${clauses.join(' ')})`
+}
+
+// builds the INSERT ... SELECT FROM EXTERNAL statement for a remote source load,
+// the data always has every column of the table and `columns` picks the ones inserted
+const buildLoadStatement = function (table, options) {
+  if (typeof table !== 'string' || !table) {
+    throw new TypeError('load requires a table name')
+  }
+  const { columns, ...using } = options || {}
+  const name = utils.prepareIdentifier(table)
+  const external = `EXTERNAL '${EXTERNAL_NAME}' SAMEAS ${name} ${buildUsingClause(using)}`
+  if (!columns) {
+    return `INSERT INTO ${name} SELECT * FROM ${external}`
+  }
+  const list = columns.map(utils.prepareIdentifier).join(', ')
+  return `INSERT INTO ${name} (${list}) SELECT ${list} FROM ${external}`
+}
+
+// streams a Readable to the server when it asks for the remote source of the external table
+class LoadQuery extends Query {
+  constructor(table, source, options, callback) {
+    super(buildLoadStatement(table, options), callback)
+    this.source = source
+    this._stopSource = null
+    this.loadLog = ''
+    this.badRows = null
+    this._badFile = ''
+  }
+
+  handleExternalLoadRequest(msg, connection) {
+    const source = this.source
+    const stream = connection.stream
+
+    const onDrain = () => source.resume()
+    const onData = (chunk) => {
+      if (!stream.writable) {
+        // the rows that cannot be sent any more must not be reported as loaded
+        this._stopSource()
+        this._canceledDueToError = new Error('The connection closed before all of the load data was sent')
+        return
+      }
+      const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk
+      if (buffer.length && !connection.sendExternalData(buffer)) {
+        // wait for the socket before reading more of the source
+        source.pause()
+        stream.once('drain', onDrain)
+      }
+    }
+    const onEnd = () => {
+      stop()
+      connection.endExternalData()
+    }
+    const onError = (err) => {
+      stop()
+      // reported once the server has cleaned up and is ready for the next query
+      this._canceledDueToError = err
+      connection.sendExternalError()
+    }
+    const stop = () => {
+      this._stopSource = null
+      source.removeListener('data', onData)
+      source.removeListener('end', onEnd)
+      source.removeListener('error', onError)
+      stream.removeListener('drain', onDrain)
+    }
+
+    this._stopSource = () => {
+      stop()
+      source.pause()
+    }
+    source.on('data', onData)
+    source.once('end', onEnd)
+    source.once('error', onError)
+    source.resume()
+  }
+
+  handleExternalTableAbort() {
+    if (this._stopSource) {
+      this._stopSource()
+    }
+  }
+
+  // the server sends the load log and the rejected rows once the load has run
+  handleExternalLog(msg) {
+    const text = msg.data.toString('utf8')
+    if (msg.kind === 'bad') {
+      this._badFile += text
+      return
+    }
+    this.loadLog += text
+    this.emit('loadLog', text)
+  }
+
+  _collectBadRows() {
+    if (!this.badRows) {
+      this.badRows = parseLoadLog(this.loadLog, this._badFile)
+      this.badRows.forEach((badRow) => this.emit('badRow', badRow))
+    }
+    return this.badRows
+  }
+
+  handleError(err, connection) {
+    this.handleExternalTableAbort()
+    if (err && typeof err === 'object') {
+      // a load over MAXERRORS fails, the rows that made it fail are still of interest
+      err.loadLog = this.loadLog
+      err.badRows = this._collectBadRows()
+    }
+    super.handleError(err, connection)
+  }
+
+  handleReadyForQuery(connection) {
+    if (!this._canceledDueToError && this._results) {
+      this._results.loadLog = this.loadLog
+      this._results.badRows = this._collectBadRows()
+    }
+    super.handleReadyForQuery(connection)
+  }
+}
+
+module.exports = LoadQuery
+module.exports.buildLoadStatement = buildLoadStatement
+module.exports.buildUsingClause = buildUsingClause
@@ -0,0 +1,114 @@
+'use strict'
+
+const utils = require('./utils')
+
+// external table options the rows are formatted for, they can be overridden per load
+const rowFormat = {
+  delimiter: '|',
+  escapeChar: '\\',
+  nullValue: 'NULL',
+  boolStyle: 'TRUE_FALSE',
+  dateStyle: 'YMD',
+  dateDelim: '-',
+}
+
+// rows are sent to the server in chunks of about this many characters
+const CHUNK_SIZE = 64 * 1024
+
+const escapeRegexp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// escapes the delimiter, line breaks and the escape character itself
+const createEscape = function (options) {
+  const escapeChar = options.escapeChar
+  const special = new RegExp(`${escapeRegexp(escapeChar)}|${escapeRegexp(options.delimiter)}|\r|\n`, 'g')
+  return (text) => {
+    const escaped = text.replace(special, (char) => escapeChar + char)
+    // a value that reads as the null marker is escaped so it stays a string
+    return escaped === options.nullValue ? escapeChar + escaped : escaped
+  }
+}
+
+// wall clock time without the zone, DATE columns take the date part only
+const formatDate = function (date, dataTypeName) {
+  const [, day, time, bc] = /^(\S+)T(\S+?)(?:[+-]\d{2}:\d{2})?( BC)?$/.exec(utils.prepareValue(date))
+  return (dataTypeName === 'DATE' ? day : `${day} ${time}`) + (bc || '')
+}
+
+// formats a javascript value as an external table field, following the same mapping as query parameters
+const formatLoadValue = function (val, dataTypeName, options, escape) {
+  if (val == null) {
+    return options.nullValue
+  }
+  if (typeof val === 'boolean') {
+    return val ? 'TRUE' : 'FALSE'
+  }
+  if (utils.isJsonValue(val)) {
+    return escape(JSON.stringify(val))
+  }
+  const prepared = utils.prepareValue(val)
+  if (prepared === null) {
+    return options.nullValue
+  }
+  if (prepared instanceof Buffer) {
+    // binary fields of external tables are hex encoded
+    return prepared.toString('hex')
+  }
+  if (val instanceof Date) {
+    return formatDate(val, dataTypeName)
+  }
+  return escape(prepared)
+}
+
+const findField = (fields, name) => {
+  const lower = name.toLowerCase()
+  const index = fields.findIndex((field) => field.name.toLowerCase() === lower)
+  if (index === -1) {
+    throw new TypeError(`Unknown column "${name}"`)
+  }
+  return index
+}
+
+// formats rows given as arrays or objects into external table text for the columns of the table.
+// `fields` are the table columns in order, `columns` the ones the rows provide, all of them by default.
+const formatLoadRows = function (rows, fields, columns, options) {
+  options = { ...rowFormat, ...options }
+  const escape = createEscape(options)
+  const selected = columns ? columns.map((name) => findField(fields, name)) : fields.map((field, i) => i)
+  // the property read from object rows, the column name as given or else as the server reports it
+  const keys = selected.map((index, i) => (columns ? columns[i] : fields[index].name))
+  const formatRow = (row) => {
+    const values = fields.map(() => options.nullValue)
+    selected.forEach((index, i) => {
+      let val
+      if (Array.isArray(row)) {
+        val = row[i]
+      } else {
+        const key = keys[i] in row ? keys[i] : keys[i].toLowerCase()
+        val = row[key]
+      }
+      values[index] = formatLoadValue(val, fields[index].dataTypeName, options, escape)
+    })
+    return values.join(options.delimiter) + '\n'
+  }
+
+  return (async function* () {
+    let chunk = ''
+    for await (const row of rows) {
+      chunk += formatRow(row)
+      if (chunk.length >= CHUNK_SIZE) {
+        yield chunk
+        chunk = ''
+      }
+    }
+    if (chunk) {
+      yield chunk
+    }
+  })()
+}
+
+module.exports = {
+  rowFormat,
+  formatDate,
+  formatLoadValue,
+  formatLoadRows,
+}
@@ -77,6 +77,9 @@ class NetezzaHandshake {
     this.hsVersion = null
     this.protocol1 = null
     this.protocol2 = null
+    // backend key data, needed to cancel queries of this session
+    this.processID = null
+    this.secretKey = null
 
     // Guardium/audit information
     this.clientOS = os.platform()
@@ -187,6 +190,8 @@ class NetezzaHandshake {
         stream: this.stream,
         remainingBuffer,
         needsInitialization: true,
+        processID: this.processID,
+        secretKey: this.secretKey,
       }
     } catch (error) {
       this.log('\nHandshake Failed:', error.message)
@@ -588,9 +593,9 @@ class NetezzaHandshake {
 
         case BACKEND_KEY_DATA: {
           // 'K' - Backend key data: After discarding 8 bytes, read 8 more (4 for PID, 4 for key)
-          const pid = this.unpackInt(await this.readBytes(4))
-          const key = this.unpackInt(await this.readBytes(4))
-          this.log(`Backend Key Data (K): PID=${pid}, SecretKey=${key}`)
+          this.processID = this.unpackInt(await this.readBytes(4))
+          this.secretKey = this.unpackInt(await this.readBytes(4))
+          this.log(`Backend Key Data (K): PID=${this.processID}, SecretKey=${this.secretKey}`)
           break
         }
 
@@ -0,0 +1,124 @@
+'use strict'
+
+const Query = require('./query')
+
+// async iterator over the rows of a query. The query is sent on the first call to next()
+// and the socket is paused while `batchSize` rows are waiting to be consumed.
+class QueryIterator {
+  constructor(client, config, batchSize) {
+    this.client = client
+    this.query = new Query(config)
+    this.batchSize = batchSize
+    this._started = false
+    this._done = false
+    this._stopped = false
+    this._paused = false
+    this._rows = []
+    this._error = null
+    this._waiting = null
+    this._onFinish = []
+
+    this.query.on('row', (row) => this._handleRow(row))
+    this.query.on('end', () => this._finish(null))
+    this.query.on('error', (err) => this._finish(err))
+  }
+
+  [Symbol.asyncIterator]() {
+    return this
+  }
+
+  _start() {
+    this._started = true
+    this.client.query(this.query)
+  }
+
+  _handleRow(row) {
+    if (this._stopped) {
+      return
+    }
+    if (this._waiting) {
+      const { resolve } = this._waiting
+      this._waiting = null
+      resolve({ value: row, done: false })
+      return
+    }
+    this._rows.push(row)
+    if (this._rows.length >= this.batchSize && !this._paused) {
+      this._paused = true
+      this.client.connection.stream.pause()
+    }
+  }
+
+  _resume() {
+    if (this._paused) {
+      this._paused = false
+      this.client.connection.stream.resume()
+    }
+  }
+
+  _finish(err) {
+    this._done = true
+    this._resume()
+    if (this._waiting) {
+      const { resolve, reject } = this._waiting
+      this._waiting = null
+      if (err) {
+        reject(err)
+      } else {
+        resolve({ value: undefined, done: true })
+      }
+    } else if (err && !this._stopped) {
+      this._error = err
+    }
+    this._onFinish.splice(0).forEach((callback) => callback())
+  }
+
+  next() {
+    if (this._stopped) {
+      return this.client._Promise.resolve({ value: undefined, done: true })
+    }
+    if (!this._started) {
+      this._start()
+    }
+    if (this._rows.length) {
+      const value = this._rows.shift()
+      if (this._rows.length < this.batchSize) {
+        this._resume()
+      }
+      return this.client._Promise.resolve({ value, done: false })
+    }
+    if (this._error) {
+      const err = this._error
+      this._error = null
+      return this.client._Promise.reject(err)
+    }
+    if (this._done) {
+      return this.client._Promise.resolve({ value: undefined, done: true })
+    }
+    return new this.client._Promise((resolve, reject) => {
+      this._waiting = { resolve, reject }
+      this._resume()
+    })
+  }
+
+  // leaving the loop early cancels the query on the server, drops the rows still arriving and waits for the server
+  // to be ready again. The client can be used or released as soon as this resolves. Without backend key data the
+  // query cannot be canceled and the rest of its rows are read and dropped
+  return() {
+    this._stopped = true
+    this._rows = []
+    this._error = null
+    this._resume()
+    const result = { value: undefined, done: true }
+    if (!this._started || this._done) {
+      this._done = true
+      return this.client._Promise.resolve(result)
+    }
+    this.query.cancel(() => {})
+    return new this.client._Promise((resolve) => {
+      this._onFinish.push(() => resolve(result))
+    })
+  }
+}
+
+module.exports = QueryIterator
@@ -18,6 +18,8 @@ class Query extends EventEmitter {
     this.name = config.name
     this.queryMode = config.queryMode
     this.binary = config.binary
+    this.bigint = config.bigint
+    this.signal = config.signal
     // use unique portal name each time
     this.portal = config.portal || ''
     this.callback = config.callback
@@ -25,11 +27,20 @@ class Query extends EventEmitter {
     if (process.domain && config.callback) {
       this.callback = process.domain.bind(config.callback)
     }
-    this._result = new Result(this._rowMode, this.types)
+    this._result = new Result(this._rowMode, this.types, this.bigint)
 
     // potential for multiple results
     this._results = this._result
     this._canceledDueToError = false
+    this._client = null
+  }
+
+  // stops the query on the server, or removes it from the queue if it was not sent yet
+  cancel(callback) {
+    if (!this._client) {
+      throw new Error('Query.cancel requires the query to be passed to client.query first')
+    }
+    return this._client.cancel(this, callback)
   }
 
   requiresPreparation() {
@@ -46,15 +57,8 @@ class Query extends EventEmitter {
     if (this.rows) {
       return true
     }
-    // don't prepare empty text queries
-    if (!this.text) {
-      return false
-    }
-    // prepare if there are values
-    if (!this.values) {
-      return false
-    }
-    return this.values.length > 0
+    // values are inlined into the query text, see submit
+    return false
   }
 
   _checkForMultirow() {
@@ -65,7 +69,7 @@ class Query extends EventEmitter {
       if (!Array.isArray(this._results)) {
         this._results = [this._result]
       }
-      this._result = new Result(this._rowMode, this._result._types)
+      this._result = new Result(this._rowMode, this._result._types, this.bigint)
       this._results.push(this._result)
     }
   }
@@ -79,6 +83,10 @@ class Query extends EventEmitter {
     this._accumulateRows = this.callback || !this.listeners('row').length
   }
 
+  handleDbosTupleDescriptor(msg) {
+    this._result.addDbosTypeNames(msg.fieldTypeNames || [])
+  }
+
   handleDataRow(msg) {
     let row
 
@@ -87,6 +95,11 @@ class Query extends EventEmitter {
     }
 
     try {
+      if (this._result.columnar) {
+        // values go straight into the result columns, no row objects or 'row' events
+        this._result.addColumnValues(msg.fields)
+        return
+      }
       row = this._result.parseRow(msg.fields)
     } catch (err) {
       this._canceledDueToError = err
@@ -181,7 +194,15 @@ class Query extends EventEmitter {
         connection.stream.uncork && connection.stream.uncork()
       }
     } else {
-      connection.query(this.text)
+      let text = this.text
+      if (this.values && this.values.length) {
+        try {
+          text = utils.interpolateValues(this.text, this.values)
+        } catch (err) {
+          return err
+        }
+      }
+      connection.query(text)
     }
     return null
   }
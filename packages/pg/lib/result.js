@@ -1,14 +1,27 @@
 'use strict'
 
 const types = require('pg-types')
+const { NzTypeOids } = require('pg-protocol')
 
 const matchRegexp = /^([A-Za-z]+(?: [A-Za-z]+)*)(?: (\d+))?(?: (\d+))?/
 
+// fixed width numeric columns are collected into typed arrays in columnar mode
+const typedColumns = {
+  BYTEINT: Int8Array,
+  SMALLINT: Int16Array,
+  INTEGER: Int32Array,
+  BIGINT: BigInt64Array,
+  REAL: Float32Array,
+  DOUBLE: Float64Array,
+}
+
+const INITIAL_COLUMN_CAPACITY = 1024
+
 // result object returned from query
 // in the 'end' event and also
 // passed as second argument to provided callback
 class Result {
-  constructor(rowMode, types) {
+  constructor(rowMode, types, bigint) {
     this.command = null
     this.rowCount = null
     this.oid = null
@@ -16,13 +29,25 @@ class Result {
     this.fields = []
     this.notices = [] // Array to store NOTICE messages
     this._parsers = undefined
+    // parsers set with setTypeParser, the only ones DBOS decoded values go through
+    this._decodedParsers = undefined
     this._types = types
+    // per query override of the client's INT8 handling, undefined keeps the type parsers
+    this._bigint = bigint
     this.RowCtor = null
     this.rowAsArray = rowMode === 'array'
     if (this.rowAsArray) {
       this.parseRow = this._parseRowAsArray
     }
     this._prebuiltEmptyResultObject = null
+    // rowMode 'columnar' collects one array per column instead of row objects
+    this.columnar = rowMode === 'columnar'
+    this.columns = null
+    this.nulls = null
+    this._columnData = null
+    this._columnNulls = null
+    this._columnLength = 0
+    this._columnCapacity = 0
   }
 
   // adds a command complete message
@@ -46,16 +71,96 @@ class Result {
         this.rowCount = parseInt(match[2], 10)
       }
     }
+    if (this.columnar && this.fields.length) {
+      this._finishColumns()
+    }
+  }
+
+  // the column types are only known once the DBOS descriptor has named the fields, just before the first row
+  _createColumns() {
+    this._columnData = this.fields.map((field) => {
+      const TypedArray = typedColumns[field.dataTypeName]
+      return TypedArray ? new TypedArray(INITIAL_COLUMN_CAPACITY) : []
+    })
+    this._columnNulls = this.fields.map(() => null)
+    this._columnLength = 0
+    this._columnCapacity = INITIAL_COLUMN_CAPACITY
+  }
+
+  _growColumns() {
+    const capacity = (this._columnCapacity *= 2)
+    const grow = (column) => {
+      const grown = new column.constructor(capacity)
+      grown.set(column)
+      return grown
+    }
+    this._columnData = this._columnData.map((column) => (Array.isArray(column) ? column : grow(column)))
+    this._columnNulls = this._columnNulls.map((nulls) => nulls && grow(nulls))
+  }
+
+  // appends a row to the columns without building a row object
+  addColumnValues(rowData) {
+    if (!this._columnData) {
+      this._createColumns()
+    }
+    const index = this._columnLength
+    if (index === this._columnCapacity) {
+      this._growColumns()
+    }
+    for (let i = 0, len = rowData.length; i < len; i++) {
+      const rawValue = rowData[i]
+      const column = this._columnData[i]
+      if (!Array.isArray(column)) {
+        if (rawValue === null) {
+          // typed arrays cannot hold null, the value stays 0 and the row is flagged
+          if (!this._columnNulls[i]) {
+            this._columnNulls[i] = new Uint8Array(column.length)
+          }
+          this._columnNulls[i][index] = 1
+        } else if (column instanceof BigInt64Array) {
+          column[index] = BigInt(rawValue)
+        } else {
+          // DBOS fields arrive as numbers already, text rows carry the digits
+          column[index] = typeof rawValue === 'string' ? Number(rawValue) : rawValue
+        }
+      } else if (rawValue === null) {
+        column.push(rawValue)
+      } else if (typeof rawValue !== 'string') {
+        column.push(this._decodedParsers[i] ? this._decodedParsers[i](rawValue) : rawValue)
+      } else {
+        column.push(this._parsers[i](this.fields[i].format === 'binary' ? Buffer.from(rawValue) : rawValue))
+      }
+    }
+    this._columnLength++
+  }
+
+  _finishColumns() {
+    if (!this._columnData) {
+      this._createColumns()
+    }
+    const length = this._columnLength
+    this.columns = {}
+    this.nulls = {}
+    this.fields.forEach((field, i) => {
+      const column = this._columnData[i]
+      this.columns[field.name] = Array.isArray(column) ? column : column.subarray(0, length)
+      if (this._columnNulls[i]) {
+        this.nulls[field.name] = this._columnNulls[i].subarray(0, length)
+      }
+    })
   }
 
   _parseRowAsArray(rowData) {
     const row = new Array(rowData.length)
     for (let i = 0, len = rowData.length; i < len; i++) {
       const rawValue = rowData[i]
-      if (rawValue !== null) {
-        row[i] = this._parsers[i](rawValue)
-      } else {
+      if (rawValue === null) {
         row[i] = null
+      } else if (typeof rawValue !== 'string') {
+        // already decoded from a DBOS tuple
+        row[i] = this._decodedParsers[i] ? this._decodedParsers[i](rawValue) : rawValue
+      } else {
+        row[i] = this._parsers[i](rawValue)
       }
     }
     return row
@@ -66,11 +171,16 @@ class Result {
     for (let i = 0, len = rowData.length; i < len; i++) {
       const rawValue = rowData[i]
       const field = this.fields[i].name
-      if (rawValue !== null) {
+      if (rawValue === null) {
+        row[field] = null
+      } else if (typeof rawValue !== 'string') {
+        // DBOS tuples carry native values (numbers, booleans, intervals) which
+        // the protocol parser has already decoded, don't run them through the
+        // text parsers again, only through a parser the user set for the type
+        row[field] = this._decodedParsers[i] ? this._decodedParsers[i](rawValue) : rawValue
+      } else {
         const v = this.fields[i].format === 'binary' ? Buffer.from(rawValue) : rawValue
         row[field] = this._parsers[i](v)
-      } else {
-        row[field] = null
       }
     }
     return row
@@ -88,6 +198,7 @@ class Result {
     this.fields = fieldDescriptions
     if (this.fields.length) {
       this._parsers = new Array(fieldDescriptions.length)
+      this._decodedParsers = new Array(fieldDescriptions.length)
     }
 
     const row = {}
@@ -96,16 +207,55 @@ class Result {
       const desc = fieldDescriptions[i]
       row[desc.name] = null
 
-      if (this._types) {
-        this._parsers[i] = this._types.getTypeParser(desc.dataTypeID, desc.format || 'text')
-      } else {
-        this._parsers[i] = types.getTypeParser(desc.dataTypeID, desc.format || 'text')
-      }
+      this._setParser(i, desc)
     }
 
     this._prebuiltEmptyResultObject = { ...row }
   }
 
+  // the DBOS descriptor names the column types more precisely than the row description oids,
+  // the fields are copied so the protocol's Field objects stay as they were emitted
+  addDbosTypeNames(typeNames) {
+    this.fields = this.fields.map((field, i) => {
+      const dataTypeName = typeNames[i]
+      if (!dataTypeName || dataTypeName === field.dataTypeName) {
+        return field
+      }
+      const named = Object.assign(Object.create(Object.getPrototypeOf(field)), field, { dataTypeName })
+      this._setParser(i, named)
+      return named
+    })
+  }
+
+  // a parser set for the field's Netezza type name, by oid or by name
+  _getOverride(desc) {
+    if (!this._types || !this._types.getOverride) {
+      return undefined
+    }
+    const format = desc.format || 'text'
+    const override = this._types.getOverride(desc.dataTypeID, format)
+    if (override || !NzTypeOids[desc.dataTypeName]) {
+      return override
+    }
+    return this._types.getOverride(desc.dataTypeName, format)
+  }
+
+  _setParser(i, desc) {
+    const format = desc.format || 'text'
+    const override = this._getOverride(desc)
+    if (this._bigint !== undefined && (desc.dataTypeName === 'BIGINT' || NzTypeOids.BIGINT.includes(desc.dataTypeID))) {
+      this._parsers[i] = this._bigint ? BigInt : types.getTypeParser(desc.dataTypeID, format)
+    } else if (override) {
+      this._parsers[i] = override
+    } else if (this._types) {
+      this._parsers[i] = this._types.getTypeParser(desc.dataTypeID, format)
+    } else {
+      this._parsers[i] = types.getTypeParser(desc.dataTypeID, format)
+    }
+    // DBOS decoded values skip the default text parsers
+    this._decodedParsers[i] = override
+  }
+
   addNotice(notice) {
     this.notices.push(notice)
   }
@@ -1,6 +1,19 @@
 'use strict'
 
 const types = require('pg-types')
+const { NzTypeOids } = require('pg-protocol')
+
+// accepts a type oid or a Netezza type name such as 'NUMERIC' and returns the oids to key parsers on
+function resolveOids(type) {
+  if (typeof type !== 'string' || /^\d+$/.test(type)) {
+    return [type]
+  }
+  const oids = NzTypeOids[type.toUpperCase()]
+  if (!oids) {
+    throw new TypeError(`Unknown Netezza type name "${type}"`)
+  }
+  return oids
+}
 
 function TypeOverrides(userTypes) {
   this._types = userTypes || types
@@ -24,12 +37,21 @@ TypeOverrides.prototype.setTypeParser = function (oid, format, parseFn) {
     parseFn = format
     format = 'text'
   }
-  this.getOverrides(format)[oid] = parseFn
+  const overrides = this.getOverrides(format)
+  for (const typeOid of resolveOids(oid)) {
+    overrides[typeOid] = parseFn
+  }
 }
 
 TypeOverrides.prototype.getTypeParser = function (oid, format) {
   format = format || 'text'
+  oid = resolveOids(oid)[0]
   return this.getOverrides(format)[oid] || this._types.getTypeParser(oid, format)
 }
 
+// only a parser set with setTypeParser, undefined when the type keeps its default
+TypeOverrides.prototype.getOverride = function (oid, format) {
+  return this.getOverrides(format || 'text')[resolveOids(oid)[0]]
+}
+
 module.exports = TypeOverrides
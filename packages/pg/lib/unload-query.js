@@ -0,0 +1,101 @@
+'use strict'
+
+const Query = require('./query')
+const { buildUsingClause } = require('./load-query')
+
+// the server echoes the external table name back in its unload request, any name will do
+const EXTERNAL_NAME = 'nodejs-unload'
+
+// builds the CREATE EXTERNAL TABLE ... AS SELECT statement for a remote source unload
+const buildUnloadStatement = function (sql, options) {
+  if (typeof sql !== 'string' || !sql.trim()) {
+    throw new TypeError('unload requires a query')
+  }
+  return `CREATE EXTERNAL TABLE '${EXTERNAL_NAME}' ${buildUsingClause(options)} AS ${sql}`
+}
+
+// writes the data the server pushes for a REMOTESOURCE external table into a Writable
+class UnloadQuery extends Query {
+  constructor(sql, destination, options, callback) {
+    const { end = true, ...using } = options || {}
+    super(buildUnloadStatement(sql, using), callback)
+    this.destination = destination
+    this._endDestination = end
+    this._unloadDone = false
+    this._resumeSocket = null
+    this._onDestinationError = null
+  }
+
+  handleExternalUnloadRequest() {
+    if (this._onDestinationError) {
+      return
+    }
+    this._onDestinationError = (err) => {
+      this._canceledDueToError = err
+      // keep reading so the server can finish, the remaining data is discarded
+      this._resume()
+    }
+    this.destination.once('error', this._onDestinationError)
+  }
+
+  handleExternalUnloadData(msg, connection) {
+    if (msg.status === 'done') {
+      this._unloadDone = true
+      return
+    }
+    if (msg.status !== 'data' || this._canceledDueToError) {
+      return
+    }
+    if (!this.destination.write(msg.chunk) && !this._resumeSocket) {
+      // stop reading from the socket until the destination catches up
+      const stream = connection.stream
+      stream.pause()
+      this._resumeSocket = () => {
+        this.destination.removeListener('drain', this._resumeSocket)
+        this._resumeSocket = null
+        stream.resume()
+      }
+      this.destination.once('drain', this._resumeSocket)
+    }
+  }
+
+  _resume() {
+    if (this._resumeSocket) {
+      this._resumeSocket()
+    }
+  }
+
+  _cleanup() {
+    this._resume()
+    if (this._onDestinationError) {
+      this.destination.removeListener('error', this._onDestinationError)
+    }
+  }
+
+  handleError(err, connection) {
+    this._cleanup()
+    super.handleError(err, connection)
+  }
+
+  handleReadyForQuery(connection) {
+    this._cleanup()
+    if (this._canceledDueToError || !this._unloadDone || !this._endDestination) {
+      return super.handleReadyForQuery(connection)
+    }
+    // report the unload once everything is flushed to the destination
+    const onFinish = (err) => {
+      this.destination.removeListener('finish', onFinish)
+      this.destination.removeListener('error', onFinish)
+      if (err) {
+        this._canceledDueToError = err
+      }
+      super.handleReadyForQuery(connection)
+    }
+    this.destination.once('finish', onFinish)
+    this.destination.once('error', onFinish)
+    this.destination.end()
+  }
+}
+
+module.exports = UnloadQuery
+module.exports.buildUnloadStatement = buildUnloadStatement
@@ -43,6 +43,11 @@ function arrayString(val) {
   return result
 }
 
+// convert a float typed array to a Netezza vector literal, eg: [0.5,1,-2]
+function vectorString(val) {
+  return '[' + Array.prototype.join.call(val, ',') + ']'
+}
+
 // converts values from javascript types
 // to their 'raw' counterparts for use as a postgres parameter
 // note: you can override this function to provide your own conversion mechanism
@@ -56,6 +61,9 @@ const prepareValue = function (val, seen) {
     if (val instanceof Buffer) {
       return val
     }
+    if (val instanceof Float32Array || val instanceof Float64Array) {
+      return vectorString(val)
+    }
     if (ArrayBuffer.isView(val)) {
       const buf = Buffer.from(val.buffer, val.byteOffset, val.byteLength)
       if (buf.length === val.byteLength) {
@@ -172,6 +180,17 @@ const escapeIdentifier = function (str) {
   return '"' + str.replace(/"/g, '""') + '"'
 }
 
+// a table or column name for SQL text. Plain and qualified names like `db.schema.table` or `db..table` are left
+// unquoted so Netezza folds them to upper case like it does in SQL, anything else is quoted as one name
+const identifierPart = '[A-Za-z_][A-Za-z0-9_$]*'
+const plainIdentifier = new RegExp(
+  `^${identifierPart}(?:\\.(?:${identifierPart})?\\.${identifierPart}|\\.${identifierPart})?$`
+)
+
+const prepareIdentifier = function (name) {
+  return plainIdentifier.test(name) ? name : escapeIdentifier(name)
+}
+
 const escapeLiteral = function (str) {
   let hasBackslash = false
   let escaped = "'"
@@ -205,6 +224,95 @@ const escapeLiteral = function (str) {
   return escaped
 }
 
+// Netezza only understands the SQL standard quoting, backslashes are ordinary characters
+const quoteLiteral = function (str) {
+  return "'" + str.replace(/'/g, "''") + "'"
+}
+
+// plain objects and arrays are sent as JSON, Netezza has no array types
+const isJsonValue = function (val) {
+  if (Array.isArray(val)) {
+    return true
+  }
+  return (
+    val !== null &&
+    typeof val === 'object' &&
+    typeof val.toPostgres !== 'function' &&
+    !isDate(val) &&
+    !ArrayBuffer.isView(val)
+  )
+}
+
+// converts a javascript value to a Netezza SQL literal, buffers become hex binary literals
+const prepareLiteral = function (val) {
+  if (isJsonValue(val)) {
+    return quoteLiteral(JSON.stringify(val)) + '::JSON'
+  }
+  // numbers stay numeric literals so they work in LIMIT and FETCH, negative ones are parenthesized so that
+  // `a -$1` cannot turn into a `--` comment. NaN and Infinity are only understood as quoted floats
+  if ((typeof val === 'number' && Number.isFinite(val)) || typeof val === 'bigint') {
+    return val < 0 ? `(${val})` : String(val)
+  }
+  const prepared = prepareValue(val)
+  if (prepared === null) {
+    return 'NULL'
+  }
+  if (prepared instanceof Buffer) {
+    return "x'" + prepared.toString('hex') + "'"
+  }
+  return quoteLiteral(prepared)
+}
+
+// what operations stopped through an AbortSignal fail with, named like the errors of node's own APIs
+const abortError = function (signal) {
+  const err = new Error('The operation was aborted', { cause: signal && signal.reason })
+  err.name = 'AbortError'
+  err.code = 'ABORT_ERR'
+  return err
+}
+
+const isIdentifierChar = (c) => /[A-Za-z0-9_$]/.test(c)
+
+// Netezza has no extended query protocol, so $1, $2... placeholders are replaced by
+// literals on the client. Placeholders inside quoted strings, quoted identifiers and
+// comments are left alone.
+const interpolateValues = function (text, values) {
+  let result = ''
+  let i = 0
+  while (i < text.length) {
+    const c = text[i]
+    let end = i + 1
+    if (c === "'" || c === '"') {
+      end = text.indexOf(c, i + 1)
+      // doubled quotes are part of the string
+      while (end !== -1 && text[end + 1] === c) {
+        end = text.indexOf(c, end + 2)
+      }
+      end = end === -1 ? text.length : end + 1
+    } else if (c === '-' && text[i + 1] === '-') {
+      end = text.indexOf('\n', i)
+      end = end === -1 ? text.length : end
+    } else if (c === '/' && text[i + 1] === '*') {
+      end = text.indexOf('*/', i + 2)
+      end = end === -1 ? text.length : end + 2
+    } else if (c === '$' && !(i > 0 && isIdentifierChar(text[i - 1]))) {
+      const match = /^\$(\d+)/.exec(text.slice(i, i + 12))
+      if (match) {
+        const index = parseInt(match[1], 10)
+        if (index < 1 || index > values.length) {
+          throw new Error(`Query references parameter $${index} but ${values.length} values were supplied`)
+        }
+        result += prepareLiteral(values[index - 1])
+        i += match[0].length
+        continue
+      }
+    }
+    result += text.slice(i, end)
+    i = end
+  }
+  return result
+}
+
 module.exports = {
   prepareValue: function prepareValueWrapper(value) {
     // this ensures that extra arguments do not get passed into prepareValue
@@ -214,4 +322,9 @@ module.exports = {
   normalizeQueryConfig,
   escapeIdentifier,
   escapeLiteral,
+  prepareIdentifier,
+  prepareLiteral,
+  interpolateValues,
+  isJsonValue,
+  abortError,
 }
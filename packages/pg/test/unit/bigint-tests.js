@@ -0,0 +1,44 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const Result = require('../../lib/result')
+const Query = require('../../lib/query')
+const utils = require('../../lib/utils')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const INT8_OID = 20
+const surrogateKey = '9223372036854775807'
+const fields = [
+  { name: 'id', dataTypeID: INT8_OID },
+  { name: 'qty', dataTypeID: 23 },
+]
+
+const parseWith = (types, bigint) => {
+  const result = new Result(undefined, types, bigint)
+  result.addFields(fields)
+  return result.parseRow([surrogateKey, '5'])
+}
+
+test('INT8 stays an exact string by default', function () {
+  const client = new Client()
+  assert.deepStrictEqual(parseWith(client._types), { id: surrogateKey, qty: 5 })
+})
+
+test('bigint: true returns INT8 as BigInt for the client', function () {
+  const client = new Client({ bigint: true })
+  assert.deepStrictEqual(parseWith(client._types), { id: BigInt(surrogateKey), qty: 5 })
+})
+
+test('bigint can be set per query', function () {
+  assert.deepStrictEqual(parseWith(new Client()._types, true), { id: BigInt(surrogateKey), qty: 5 })
+  assert.deepStrictEqual(parseWith(new Client({ bigint: true })._types, false), { id: surrogateKey, qty: 5 })
+  const query = new Query({ text: 'SELECT id FROM keys', bigint: true })
+  assert.strictEqual(query._result._bigint, true)
+})
+
+test('BigInt parameters are sent exactly', function () {
+  const text = utils.interpolateValues('SELECT * FROM keys WHERE id = $1', [BigInt(surrogateKey)])
+  assert.strictEqual(text, `SELECT * FROM keys WHERE id = ${surrogateKey}`)
+})
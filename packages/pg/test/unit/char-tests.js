@@ -0,0 +1,26 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const BPCHAR_OID = 1042
+const NCHAR_OID = 2522
+const VARCHAR_OID = 1043
+
+test('fixed width CHAR values keep their padding by default', function () {
+  const client = new Client()
+  assert.strictEqual(client.getTypeParser(BPCHAR_OID)('ab   '), 'ab   ')
+})
+
+test('trimChar right-trims CHAR and NCHAR values', function () {
+  const client = new Client({ trimChar: true })
+  assert.strictEqual(client.getTypeParser(BPCHAR_OID)('  ab   '), '  ab')
+  assert.strictEqual(client.getTypeParser(NCHAR_OID)('Zoë  '), 'Zoë')
+})
+
+test('trimChar leaves VARCHAR values alone', function () {
+  const client = new Client({ trimChar: true })
+  assert.strictEqual(client.getTypeParser(VARCHAR_OID)('ab  '), 'ab  ')
+})
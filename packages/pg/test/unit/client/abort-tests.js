@@ -0,0 +1,95 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { EventEmitter } = require('events')
+const Query = require('../../../lib/query')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+// a socket that connects but never answers the handshake
+const silentSocket = function () {
+  const socket = new EventEmitter()
+  socket.written = []
+  socket.setNoDelay = () => {}
+  socket.connect = () => process.nextTick(() => socket.emit('connect'))
+  socket.write = (data) => socket.written.push(data)
+  socket.destroy = (err) => {
+    socket.destroyed = true
+    if (err) {
+      socket.emit('error', err)
+    }
+    socket.emit('close')
+  }
+  return socket
+}
+
+const connectedClient = () => helper.recordCancels(helper.connectedClient())
+
+test('aborting connect tears down the socket during the handshake', async function () {
+  const socket = silentSocket()
+  const client = new Client({ stream: socket })
+  const controller = new AbortController()
+  const connecting = client.connect({ signal: controller.signal })
+  await new Promise((resolve) => socket.once('connect', () => setImmediate(resolve)))
+  assert.ok(socket.written.length, 'the handshake has started')
+  controller.abort()
+  await assert.rejects(connecting, (err) => err.name === 'AbortError' && err.code === 'ABORT_ERR')
+  assert.strictEqual(socket.destroyed, true)
+})
+
+test('connect with an aborted signal does not open a socket', function (done) {
+  const socket = silentSocket()
+  const client = new Client({ stream: socket })
+  client.connect({ signal: AbortSignal.abort() }, (err) => {
+    assert.strictEqual(err.name, 'AbortError')
+    assert.strictEqual(socket.written.length, 0)
+    done()
+  })
+})
+
+test('aborting a running query cancels it on the server and rejects with an AbortError', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const controller = new AbortController()
+  const running = client.query({ text: 'SELECT * FROM huge', signal: controller.signal })
+  assert.deepStrictEqual(con.queries, ['SELECT * FROM huge'])
+  controller.abort()
+  assert.deepStrictEqual(client.cancels, [[7, 8]])
+  con.emit('errorMessage', new Error('canceling query due to user request'))
+  con.emit('readyForQuery')
+  await assert.rejects(running, { name: 'AbortError' })
+})
+
+test('a query finishing before the cancel lands still rejects', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const controller = new AbortController()
+  const running = client.query({ text: 'SELECT 1', signal: controller.signal })
+  controller.abort()
+  con.emit('commandComplete', { text: 'SELECT 1' })
+  con.emit('readyForQuery')
+  await assert.rejects(running, { name: 'AbortError' })
+})
+
+test('aborting a queued query removes it from the queue', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  client.query('SELECT * FROM huge').catch(() => {})
+  const controller = new AbortController()
+  const queued = client.query({ text: 'SELECT 1', signal: controller.signal })
+  controller.abort()
+  await assert.rejects(queued, { name: 'AbortError' })
+  assert.strictEqual(client._queryQueue.length, 0)
+  assert.deepStrictEqual(client.cancels, [], 'the running query is left alone')
+  assert.deepStrictEqual(con.queries, ['SELECT * FROM huge'])
+})
+
+test('a query with an aborted signal is never sent', async function () {
+  const client = connectedClient()
+  const query = new Query({ text: 'SELECT 1', signal: AbortSignal.abort() })
+  const failed = new Promise((resolve) => query.once('error', resolve))
+  client.query(query)
+  assert.strictEqual((await failed).name, 'AbortError')
+  assert.deepStrictEqual(client.connection.queries, [])
+})
@@ -0,0 +1,85 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+// numbers the queries like a Netezza connection does
+const connectedClient = function () {
+  const client = helper.connectedClient()
+  const con = client.connection
+  con.commandNumber = 0
+  con.query = function (text) {
+    this.commandNumber++
+    this.queries.push([this.commandNumber, text])
+  }
+  return client
+}
+
+const answer = function (con, commandNumber, name, value) {
+  con.emit('rowDescription', { commandNumber, fields: [{ name, dataTypeID: 23 }] })
+  con.emit('dataRow', { commandNumber, fields: [String(value)] })
+  con.emit('commandComplete', { commandNumber, text: 'SELECT 1' })
+  con.emit('readyForQuery', { commandNumber })
+}
+
+test('sends every query before the first answer and returns the results in order', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const batch = client.batch(['SELECT 1 AS a', { text: 'SELECT $1::int AS b', values: [2] }, 'SELECT 3 AS c'])
+  assert.deepStrictEqual(con.queries, [
+    [1, 'SELECT 1 AS a'],
+    [2, 'SELECT 2::int AS b'],
+    [3, 'SELECT 3 AS c'],
+  ])
+  assert.strictEqual(con.stream.corked, 0)
+  answer(con, 1, 'a', 1)
+  answer(con, 2, 'b', 2)
+  assert.strictEqual(client.readyForQuery, false, 'the connection is held until the last answer')
+  answer(con, 3, 'c', 3)
+  const results = await batch
+  assert.deepStrictEqual(
+    results.map((result) => result.rows),
+    [[{ a: 1 }], [{ b: 2 }], [{ c: 3 }]]
+  )
+  assert.strictEqual(client.readyForQuery, true)
+})
+
+test('a failing query rejects the batch once every query is done', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const batch = client.batch(['SELECT 1 AS a', 'SELECT nope', 'SELECT 3 AS c'])
+  answer(con, 1, 'a', 1)
+  const error = new Error('column "nope" does not exist')
+  error.commandNumber = 2
+  con.emit('errorMessage', error)
+  con.emit('readyForQuery', { commandNumber: 2 })
+  answer(con, 3, 'c', 3)
+  await assert.rejects(batch, (err) => {
+    assert.strictEqual(err, error)
+    assert.deepStrictEqual(err.results[0].rows, [{ a: 1 }])
+    assert.strictEqual(err.results[1], error)
+    assert.deepStrictEqual(err.results[2].rows, [{ c: 3 }])
+    return true
+  })
+  assert.strictEqual(client.readyForQuery, true)
+})
+
+test('nothing is sent when a query cannot be prepared', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  await assert.rejects(client.batch(['SELECT 1', { text: 'SELECT $1', values: 'nope' }]), /values must be an array/)
+  assert.deepStrictEqual(con.queries, [])
+  assert.throws(() => client.batch([]), /non-empty array/)
+})
+
+test('the batch works with a callback', function (done) {
+  const client = connectedClient()
+  const con = client.connection
+  client.batch(['SELECT 1 AS a'], (err, results) => {
+    assert.ifError(err)
+    assert.deepStrictEqual(results[0].rows, [{ a: 1 }])
+    done()
+  })
+  answer(con, 1, 'a', 1)
+})
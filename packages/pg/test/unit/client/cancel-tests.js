@@ -0,0 +1,116 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { EventEmitter } = require('events')
+const Query = require('../../../lib/query')
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+// records what the cancel connection sends, the server closes it once the request is read
+const cancelSocket = function () {
+  const socket = new EventEmitter()
+  socket.written = []
+  socket.connect = (port, host) => {
+    socket.target = [port, host]
+    process.nextTick(() => socket.emit('connect'))
+  }
+  socket.write = (data) => socket.written.push(data)
+  socket.end = () => process.nextTick(() => socket.emit('close'))
+  return socket
+}
+
+const connectedClient = function (config) {
+  const sockets = []
+  const client = helper.connectedClient({
+    host: 'appliance',
+    port: 5480,
+    stream: () => {
+      const socket = cancelSocket()
+      sockets.push(socket)
+      return socket
+    },
+    ...config,
+  })
+  client.sockets = sockets
+  client.connection.emit('backendKeyData', { processID: 4242, secretKey: -17 })
+  return client
+}
+
+test('the backend key from the handshake is kept on the client', function () {
+  const client = connectedClient()
+  assert.strictEqual(client.processID, 4242)
+  assert.strictEqual(client.secretKey, -17)
+})
+
+test('cancel sends a CancelRequest with the backend key over a new connection', async function () {
+  const client = connectedClient()
+  const running = client.query('SELECT * FROM huge')
+  await client.cancel()
+  assert.strictEqual(client.sockets.length, 1)
+  const [socket] = client.sockets
+  assert.deepStrictEqual(socket.target, [5480, 'appliance'])
+  const [request] = socket.written
+  assert.strictEqual(request.length, 16)
+  assert.strictEqual(request.readInt32BE(0), 16)
+  assert.strictEqual(request.readInt32BE(4), 80877102)
+  assert.strictEqual(request.readInt32BE(8), 4242)
+  assert.strictEqual(request.readInt32BE(12), -17)
+  assert.deepStrictEqual(client.connection.queries, ['SELECT * FROM huge'], 'nothing is sent on the session')
+
+  client.connection.emit('errorMessage', new Error('canceling query due to user request'))
+  client.connection.emit('readyForQuery')
+  await assert.rejects(running, /user request/)
+})
+
+test('the cancel connection uses the stream settings of the session connection', function (done) {
+  const streamOptions = []
+  const client = new helper.Client({
+    host: 'appliance',
+    port: 5480,
+    ssl: { rejectUnauthorized: false },
+    stream: (options) => {
+      streamOptions.push(options)
+      return cancelSocket()
+    },
+  })
+  client.processID = 4242
+  client.secretKey = -17
+  client._sendCancelRequest((err) => {
+    assert.ifError(err)
+    assert.strictEqual(streamOptions.length, 2, 'both connections come from the stream factory')
+    assert.strictEqual(streamOptions[1].ssl, streamOptions[0].ssl)
+    assert.deepStrictEqual(streamOptions[1].ssl, { rejectUnauthorized: false })
+    done()
+  })
+})
+
+test('query.cancel cancels that query', function (done) {
+  const client = connectedClient()
+  const query = new Query('SELECT * FROM huge', [], () => {})
+  client.query(query)
+  query.cancel((err) => {
+    assert.ifError(err)
+    assert.strictEqual(client.sockets.length, 1)
+    done()
+  })
+})
+
+test('a queued query is removed without contacting the server', async function () {
+  const client = connectedClient()
+  client.query('SELECT * FROM huge').catch(() => {})
+  const queued = new Query('SELECT 1')
+  const failed = new Promise((resolve) => queued.on('error', resolve))
+  client.query(queued)
+  await queued.cancel()
+  assert.strictEqual(client.sockets.length, 0)
+  assert.match((await failed).message, /canceled before it was sent/)
+  assert.deepStrictEqual(client.connection.queries, ['SELECT * FROM huge'])
+})
+
+test('cancel fails without backend key data', async function () {
+  const client = connectedClient()
+  client.processID = null
+  client.query('SELECT * FROM huge').catch(() => {})
+  await assert.rejects(client.cancel(), /no backend key data/)
+  assert.throws(() => new Query('SELECT 1').cancel(), /passed to client.query/)
+})
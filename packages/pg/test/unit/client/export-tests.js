@@ -0,0 +1,127 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { Readable, Writable } = require('stream')
+const { toCSV, toNDJSON } = require('../../../lib/export')
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const { connectedClient } = helper
+
+const collect = function (stream) {
+  return new Promise((resolve, reject) => {
+    let text = ''
+    stream.on('data', (chunk) => (text += chunk))
+    stream.on('end', () => resolve(text))
+    stream.on('error', reject)
+  })
+}
+
+const format = (stream, rows) => {
+  const text = collect(stream)
+  rows.forEach((row) => stream.write(row))
+  stream.end()
+  return text
+}
+
+const collector = function () {
+  const destination = new Writable({
+    write(chunk, encoding, callback) {
+      destination.text += chunk
+      callback()
+    },
+  })
+  destination.text = ''
+  return destination
+}
+
+const dateFields = [
+  { name: 'day', dataTypeName: 'DATE' },
+  { name: 'at', dataTypeName: 'TIMESTAMP' },
+]
+
+test('CSV quotes values that need it and writes NULL as an empty field', async function () {
+  const rows = [
+    { id: 1, name: 'plain', note: null },
+    { id: 2, name: 'a, "quoted"\nvalue', note: '' },
+  ]
+  const text = await format(toCSV(), rows)
+  assert.strictEqual(text, 'id,name,note\n1,plain,\n2,"a, ""quoted""\nvalue",""\n')
+})
+
+test('CSV delimiter, quote, header and NULL are configurable', async function () {
+  const options = { delimiter: '|', quote: "'", quoteAll: true, header: false, nullValue: 'NULL' }
+  const text = await format(toCSV(options), [[1, "it's", null, true]])
+  assert.strictEqual(text, "'1'|'it''s'|NULL|'true'\n")
+})
+
+test('dates follow the column type', async function () {
+  const date = new Date(2024, 0, 31, 13, 5, 9, 250)
+  const csv = await format(toCSV({ fields: dateFields }), [[date, date]])
+  assert.strictEqual(csv, 'day,at\n2024-01-31,2024-01-31 13:05:09.250\n')
+  const ndjson = await format(toNDJSON({ fields: dateFields }), [{ day: date, at: date }])
+  assert.strictEqual(ndjson, '{"day":"2024-01-31","at":"2024-01-31 13:05:09.250"}\n')
+  const custom = await format(toCSV({ header: false, dateFormat: (value) => String(value.getFullYear()) }), [[date]])
+  assert.strictEqual(custom, '2024\n')
+})
+
+test('NDJSON keeps 64-bit integers, binary and JSON values', async function () {
+  const rows = [[BigInt('9223372036854775807'), Buffer.from([1, 171]), { a: [1] }, null, Float32Array.from([0.5, 2])]]
+  const fields = ['big', 'bin', 'doc', 'missing', 'vec'].map((name) => ({ name }))
+  const text = await format(toNDJSON({ fields }), rows)
+  assert.strictEqual(text, '{"big":"9223372036854775807","bin":"01ab","doc":{"a":[1]},"missing":null,"vec":[0.5,2]}\n')
+})
+
+test('the columns of a piped query stream are picked up', async function () {
+  const source = new Readable({ objectMode: true, read() {} })
+  source._result = { fields: [{ name: 'n' }, { name: 'day', dataTypeName: 'DATE' }] }
+  const stream = toCSV()
+  const text = collect(stream)
+  source.pipe(stream)
+  source.push([1, new Date(2024, 1, 2)])
+  source.push(null)
+  assert.strictEqual(await text, 'n,day\n1,2024-02-02\n')
+})
+
+test('a header is written for a query without rows', async function () {
+  assert.strictEqual(await format(toCSV({ fields: dateFields }), []), 'day,at\n')
+})
+
+test('client.export writes the rows of a query into the destination', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const destination = collector()
+  const exported = client.export('SELECT num, name FROM items WHERE num < $1', 'csv', destination, { values: [3] })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.deepStrictEqual(con.queries, ['SELECT num, name FROM items WHERE num < 3'])
+  con.emit('rowDescription', {
+    fields: [
+      { name: 'num', dataTypeID: 23 },
+      { name: 'name', dataTypeID: 1043 },
+    ],
+  })
+  con.emit('dataRow', { fields: ['1', 'one'] })
+  con.emit('dataRow', { fields: ['2', null] })
+  con.emit('commandComplete', { text: 'SELECT 2' })
+  con.emit('readyForQuery')
+  const result = await exported
+  assert.strictEqual(result.rowCount, 2)
+  assert.strictEqual(destination.text, 'num,name\n1,one\n2,\n')
+})
+
+test('client.export fails when the query fails', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const destination = collector()
+  const exported = client.export('SELECT nope', 'ndjson', destination)
+  await new Promise((resolve) => setImmediate(resolve))
+  con.emit('errorMessage', new Error('column does not exist'))
+  con.emit('readyForQuery')
+  await assert.rejects(exported, /column does not exist/)
+})
+
+test('client.export checks its arguments', function () {
+  const client = connectedClient()
+  assert.throws(() => client.export('SELECT 1', 'xml', collector()), /Unknown export format "xml"/)
+  assert.throws(() => client.export('SELECT 1', 'csv', 'out.csv'), /writable stream/)
+})
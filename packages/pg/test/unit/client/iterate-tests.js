@@ -0,0 +1,102 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const { connectedClient } = helper
+
+const sendRows = function (con, from, to) {
+  for (let i = from; i < to; i++) {
+    con.emit('dataRow', { fields: [String(i)] })
+  }
+}
+
+test('iterates over the rows and pauses the socket while the batch is full', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const rows = client.iterate('SELECT num FROM numbers WHERE num < $1', [5], { batchSize: 2 })
+  assert.deepStrictEqual(con.queries, [], 'nothing runs before the loop starts')
+
+  const iterator = rows[Symbol.asyncIterator]()
+  const first = iterator.next()
+  assert.deepStrictEqual(con.queries, ['SELECT num FROM numbers WHERE num < 5'])
+  con.emit('rowDescription', { fields: [{ name: 'num', dataTypeID: 23 }] })
+  sendRows(con, 0, 4)
+  assert.deepStrictEqual(await first, { value: { num: 0 }, done: false })
+  assert.strictEqual(con.stream.paused, true)
+
+  assert.deepStrictEqual((await iterator.next()).value, { num: 1 })
+  assert.strictEqual(con.stream.paused, true)
+  assert.deepStrictEqual((await iterator.next()).value, { num: 2 })
+  assert.strictEqual(con.stream.paused, false)
+  assert.deepStrictEqual((await iterator.next()).value, { num: 3 })
+  const last = iterator.next()
+  sendRows(con, 4, 5)
+  con.emit('commandComplete', { text: 'SELECT 5' })
+  con.emit('readyForQuery')
+  assert.deepStrictEqual((await last).value, { num: 4 })
+  assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true })
+})
+
+test('breaking out of the loop cancels the query before the client is used again', async function () {
+  const client = helper.recordCancels(connectedClient())
+  const con = client.connection
+  let stopped = false
+  const loop = (async () => {
+    for await (const row of client.iterate('SELECT num FROM numbers', { batchSize: 1 })) {
+      if (row.num === 1) {
+        break
+      }
+    }
+    stopped = true
+  })()
+  con.emit('rowDescription', { fields: [{ name: 'num', dataTypeID: 23 }] })
+  sendRows(con, 0, 3)
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.deepStrictEqual(client.cancels, [[7, 8]])
+  assert.strictEqual(stopped, false, 'waits for the server to stop')
+  assert.strictEqual(con.stream.paused, false)
+  sendRows(con, 3, 5)
+  con.emit('errorMessage', new Error('canceling query due to user request'))
+  con.emit('readyForQuery')
+  await loop
+  assert.strictEqual(stopped, true)
+  assert.strictEqual(client.readyForQuery, true)
+})
+
+test('without backend key data breaking out of the loop drains the query', async function () {
+  const client = connectedClient()
+  client.processID = null
+  const con = client.connection
+  const loop = (async () => {
+    for await (const row of client.iterate('SELECT num FROM numbers', { batchSize: 1 })) {
+      if (row.num === 1) {
+        break
+      }
+    }
+  })()
+  con.emit('rowDescription', { fields: [{ name: 'num', dataTypeID: 23 }] })
+  sendRows(con, 0, 100)
+  con.emit('commandComplete', { text: 'SELECT 100' })
+  con.emit('readyForQuery')
+  await loop
+  assert.strictEqual(client.readyForQuery, true)
+})
+
+test('query errors are thrown from the loop', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const loop = (async () => {
+    for await (const row of client.iterate('SELECT broken')) {
+      assert.fail('no rows expected ' + row)
+    }
+  })()
+  con.emit('errorMessage', new Error('column does not exist'))
+  await assert.rejects(loop, /column does not exist/)
+})
+
+test('rejects a batch size that is not positive', function () {
+  const client = connectedClient()
+  assert.throws(() => client.iterate('SELECT 1', [], { batchSize: 0 }), /batchSize/)
+})
@@ -36,3 +36,42 @@ test('drain', function () {
     assert.ok(raisedDrain)
   })
 })
+
+test('submittables running several statements keep the connection until they are done', function () {
+  const client = helper.client()
+  const con = client.connection
+  // finish the session setup statements
+  while (!client._connected) {
+    con.emit('readyForQuery')
+  }
+  con.queries = []
+
+  const steps = ['BEGIN', 'DECLARE c CURSOR FOR SELECT 1', 'ROLLBACK']
+  let ended = false
+  client.query({
+    submit(connection) {
+      connection.query(steps.shift())
+    },
+    handleStatementReady(connection) {
+      if (!steps.length) {
+        return false
+      }
+      connection.query(steps.shift())
+      return true
+    },
+    handleError() {},
+    handleReadyForQuery() {
+      ended = true
+    },
+  })
+  client.query('SELECT 2')
+
+  con.emit('readyForQuery')
+  con.emit('errorMessage', new Error('declare failed'))
+  con.emit('readyForQuery')
+  assert.equal(ended, false)
+  assert.deepEqual(con.queries, ['BEGIN', 'DECLARE c CURSOR FOR SELECT 1', 'ROLLBACK'])
+  con.emit('readyForQuery')
+  assert.equal(ended, true)
+  assert.deepEqual(con.queries.slice(3), ['SELECT 2'])
+})
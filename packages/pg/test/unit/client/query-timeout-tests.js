@@ -0,0 +1,94 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const Query = require('../../../lib/query')
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const connectedClient = () => helper.recordCancels(helper.connectedClient())
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('a timed out query is canceled and its late responses do not reach the next query', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const slow = client.query({ text: 'SELECT * FROM huge', query_timeout: 10 })
+  const next = client.query('SELECT 2 AS n')
+  await assert.rejects(slow, /Query read timeout/)
+  assert.deepStrictEqual(client.cancels, [[7, 8]])
+  assert.deepStrictEqual(con.queries, ['SELECT * FROM huge'], 'the queue waits for the server')
+
+  // what the server still sends for the canceled query
+  con.emit('rowDescription', { fields: [{ name: 'late', dataTypeID: 23 }] })
+  con.emit('dataRow', { fields: ['1'] })
+  con.emit('errorMessage', new Error('canceling query due to user request'))
+  con.emit('readyForQuery')
+  assert.deepStrictEqual(con.queries, ['SELECT * FROM huge', 'SELECT 2 AS n'])
+
+  con.emit('rowDescription', { fields: [{ name: 'n', dataTypeID: 23 }] })
+  con.emit('dataRow', { fields: ['2'] })
+  con.emit('commandComplete', { text: 'SELECT 1' })
+  con.emit('readyForQuery')
+  assert.deepStrictEqual((await next).rows, [{ n: 2 }])
+})
+
+test('a query timing out in the queue is removed without a cancel', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  client.query('SELECT * FROM huge').catch(() => {})
+  await assert.rejects(client.query({ text: 'SELECT 1', query_timeout: 10 }), /Query read timeout/)
+  assert.strictEqual(client._queryQueue.length, 0)
+  assert.deepStrictEqual(client.cancels, [])
+  assert.deepStrictEqual(con.queries, ['SELECT * FROM huge'])
+})
+
+test('a submittable without a callback fails through its error event', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  client.connectionParameters.query_timeout = 10
+  const query = new Query('SELECT * FROM huge')
+  const failed = new Promise((resolve) => query.once('error', resolve))
+  client.query(query)
+  await delay(20)
+  assert.deepStrictEqual(client.cancels, [[7, 8]])
+  con.emit('errorMessage', new Error('canceling query due to user request'))
+  con.emit('readyForQuery')
+  assert.match((await failed).message, /Query read timeout/)
+  assert.strictEqual(client.readyForQuery, true)
+})
+
+test('a query finishing in time is not affected', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  client.connectionParameters.query_timeout = 10
+  const query = new Query('SELECT 1 AS n')
+  const ended = new Promise((resolve) => query.once('end', resolve))
+  client.query(query)
+  con.emit('rowDescription', { fields: [{ name: 'n', dataTypeID: 23 }] })
+  con.emit('dataRow', { fields: ['1'] })
+  con.emit('commandComplete', { text: 'SELECT 1' })
+  con.emit('readyForQuery')
+  assert.deepStrictEqual((await ended).rows, [{ n: 1 }])
+  await delay(20)
+  assert.deepStrictEqual(client.cancels, [])
+})
+
+test('a timed out query releases its abort signal', async function () {
+  const client = connectedClient()
+  const con = client.connection
+  const controller = new AbortController()
+  const { signal } = controller
+  let listeners = 0
+  const addEventListener = signal.addEventListener.bind(signal)
+  const removeEventListener = signal.removeEventListener.bind(signal)
+  signal.addEventListener = (...args) => (listeners++, addEventListener(...args))
+  signal.removeEventListener = (...args) => (listeners--, removeEventListener(...args))
+  const slow = client.query({ text: 'SELECT * FROM huge', query_timeout: 10, signal })
+  await assert.rejects(slow, /Query read timeout/)
+  assert.strictEqual(listeners, 0, 'the abort listener is removed')
+  controller.abort()
+  assert.deepStrictEqual(client.cancels, [[7, 8]], 'aborting afterwards sends no second cancel')
+  con.emit('errorMessage', new Error('canceling query due to user request'))
+  con.emit('readyForQuery')
+  assert.strictEqual(client.readyForQuery, true)
+})
@@ -0,0 +1,54 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const Connection = require('../../../lib/connection')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const connecting = function (config) {
+  const connection = new Connection({ stream: 'no' })
+  connection.connect = function () {
+    connection.connected = true
+  }
+  connection.query = function (text) {
+    this.queries.push(text)
+  }
+  connection.queries = []
+  const client = new Client(Object.assign({ connection }, config))
+  return client
+}
+
+test('statement_timeout is set as the Netezza query timeout after the handshake', function () {
+  const client = connecting({ statement_timeout: 120000 })
+  const con = client.connection
+  client.connect()
+  con.emit('connect')
+  while (!client._connected) {
+    con.emit('readyForQuery')
+  }
+  assert.strictEqual(con.queries[con.queries.length - 1], 'SET QUERY_TIMEOUT TO 2')
+})
+
+test('no session limits are set by default', function () {
+  const client = connecting()
+  const con = client.connection
+  client.connect()
+  con.emit('connect')
+  while (!client._connected) {
+    con.emit('readyForQuery')
+  }
+  assert.ok(!con.queries.some((text) => /QUERY_TIMEOUT/.test(text)))
+})
+
+test('a statement_timeout that is not whole minutes fails connect', async function () {
+  const client = connecting({ statement_timeout: 90000 })
+  await assert.rejects(client.connect(), /statement_timeout must be a whole number of minutes on Netezza, got 90000ms/)
+  assert.strictEqual(client.connection.connected, undefined, 'no connection is opened')
+})
+
+test('limits Netezza has no session setting for fail connect', async function () {
+  await assert.rejects(connecting({ lock_timeout: 60000 }).connect(), /lock_timeout is not supported by Netezza/)
+  const client = connecting({ idle_in_transaction_session_timeout: 60000 })
+  await assert.rejects(client.connect(), /idle_in_transaction_session_timeout is not supported by Netezza/)
+})
@@ -0,0 +1,117 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const Connection = require('../../../lib/connection')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+// a client whose connection answers every query with readyForQuery, failing the texts in `failing`
+const answeringClient = function (config, failing = []) {
+  const connection = new Connection({ stream: 'no' })
+  connection.connect = function () {
+    connection._connecting = true
+    process.nextTick(() => {
+      connection.emit('readyForQuery')
+      connection.emit('connect')
+    })
+  }
+  connection.end = function () {
+    connection.ended = true
+  }
+  connection.queries = []
+  connection.query = function (text) {
+    this.queries.push(text)
+    process.nextTick(() => {
+      if (failing.includes(text)) {
+        connection.emit('errorMessage', new Error(`cannot run ${text}`))
+      } else {
+        connection.emit('commandComplete', { text: 'SET' })
+      }
+      connection.emit('readyForQuery')
+    })
+  }
+  return new Client(Object.assign({ connection }, config))
+}
+
+test('the session is set up from the session config', async function () {
+  const client = answeringClient({
+    dateStyle: 'SQL, EUROPEAN',
+    session: {
+      timezone: 'Europe/Paris',
+      schema: 'sales',
+      settings: { enable_jit_stats: 'off', query_timeout: null },
+    },
+  })
+  await client.connect()
+  assert.deepStrictEqual(client.connection.queries.slice(2), [
+    "set DateStyle to 'SQL, EUROPEAN'",
+    "set nz_encoding to 'utf8'",
+    "SET TIME ZONE 'Europe/Paris'",
+    'SET SCHEMA sales',
+    "SET enable_jit_stats TO 'off'",
+    'SET query_timeout TO DEFAULT',
+  ])
+  assert.match(client.connection.queries[0], /^SET CLIENT_VERSION/)
+  assert.match(client.connection.queries[1], /^select version\(\)/)
+  assert.strictEqual(client.getTypeParser('DATE')('12/07/1997').getMonth(), 6, 'text dates follow the same DateStyle')
+})
+
+test('the built-in statements can be turned off one by one', async function () {
+  const client = answeringClient({
+    dateStyle: null,
+    session: { clientVersion: false, audit: false, encoding: false },
+  })
+  await client.connect()
+  assert.deepStrictEqual(client.connection.queries, [])
+  assert.strictEqual(client._connected, true)
+})
+
+test('a failing session statement rejects connect and closes the connection', async function () {
+  const client = answeringClient({ session: { timezone: 'Mars/Olympus' } }, ["SET TIME ZONE 'Mars/Olympus'"])
+  await assert.rejects(client.connect(), /cannot run SET TIME ZONE 'Mars\/Olympus'/)
+  assert.strictEqual(client._connected, false)
+  assert.strictEqual(client.connection.ended, true)
+})
+
+test('session.ignoreErrors keeps the connection when a statement fails', async function () {
+  const client = answeringClient({ session: { ignoreErrors: true } }, ["set nz_encoding to 'utf8'"])
+  await client.connect()
+  assert.strictEqual(client._connected, true)
+})
+
+test('an invalid setting name fails connect before anything is sent', async function () {
+  const client = answeringClient({ session: { settings: { 'a; DROP TABLE t': 1 } } })
+  await assert.rejects(client.connect(), /Invalid session setting name/)
+  assert.deepStrictEqual(client.connection.queries, [])
+})
+
+test('onConnect runs after the session statements and before connect resolves', async function () {
+  const seen = []
+  const client = answeringClient({
+    session: { clientVersion: false, audit: false },
+    onConnect: async (connecting) => {
+      seen.push(connecting._connected)
+      await connecting.query('CREATE TEMP TABLE scratch (n INT)')
+    },
+  })
+  await client.connect()
+  assert.deepStrictEqual(seen, [false])
+  assert.deepStrictEqual(client.connection.queries, [
+    "set DateStyle to 'ISO'",
+    "set nz_encoding to 'utf8'",
+    'CREATE TEMP TABLE scratch (n INT)',
+  ])
+  assert.strictEqual(client._connected, true)
+})
+
+test('a failing onConnect rejects connect', async function () {
+  const client = answeringClient(
+    {
+      onConnect: (connecting) => connecting.query('SELECT nope'),
+    },
+    ['SELECT nope']
+  )
+  await assert.rejects(client.connect(), /cannot run SELECT nope/)
+  assert.strictEqual(client.connection.ended, true)
+})
@@ -3,7 +3,7 @@ const helper = require('../test-helper')
 const Connection = require('../../../lib/connection')
 const { Client } = helper
 
-const makeClient = function () {
+const makeClient = function (config) {
   const connection = new Connection({ stream: 'no' })
   connection.startup = function () {}
   connection.connect = function () {}
@@ -11,15 +11,48 @@ const makeClient = function () {
     this.queries.push(text)
   }
   connection.queries = []
-  const client = new Client({ connection: connection })
+  const client = new Client(Object.assign({ connection: connection }, config))
   client.connect()
   client.connection.emit('connect')
   return client
 }
 
+// a client done with its init queries, with the backend key of the session and a socket that records
+// pause/resume and cork/uncork
+const connectedClient = function (config) {
+  const client = makeClient(config)
+  const con = client.connection
+  con.emit('backendKeyData', { processID: 7, secretKey: 8 })
+  while (!client._connected) {
+    con.emit('readyForQuery')
+  }
+  con.queries = []
+  con.stream = {
+    paused: false,
+    corked: 0,
+    pause: () => (con.stream.paused = true),
+    resume: () => (con.stream.paused = false),
+    cork: () => con.stream.corked++,
+    uncork: () => con.stream.corked--,
+  }
+  return client
+}
+
+// records the cancel requests in client.cancels instead of opening a connection for them
+const recordCancels = function (client) {
+  client.cancels = []
+  client._sendCancelRequest = (callback) => {
+    client.cancels.push([client.processID, client.secretKey])
+    process.nextTick(callback)
+  }
+  return client
+}
+
 module.exports = Object.assign(
   {
     client: makeClient,
+    connectedClient,
+    recordCancels,
   },
   helper
 )
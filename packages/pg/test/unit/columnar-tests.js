@@ -0,0 +1,99 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const Result = require('../../lib/result')
+const Query = require('../../lib/query')
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+// dataTypeName is what the DBOS descriptor reports for each field
+const fields = [
+  { name: 'id', dataTypeID: 23, dataTypeName: 'INTEGER' },
+  { name: 'big', dataTypeID: 20, dataTypeName: 'BIGINT' },
+  { name: 'price', dataTypeID: 701, dataTypeName: 'DOUBLE' },
+  { name: 'small', dataTypeID: 21, dataTypeName: 'SMALLINT' },
+  { name: 'name', dataTypeID: 1043, dataTypeName: 'VARCHAR' },
+]
+
+const runColumnar = (rows) => {
+  const query = new Query({ text: 'SELECT * FROM items', rowMode: 'columnar' })
+  let rowEvents = 0
+  query.on('row', () => rowEvents++)
+  query.handleRowDescription({ fields: fields.map((field) => ({ ...field })) })
+  rows.forEach((row) => query.handleDataRow({ fields: row }))
+  query.handleCommandComplete({ text: `SELECT ${rows.length}` })
+  assert.strictEqual(rowEvents, 0)
+  assert.deepStrictEqual(query._result.rows, [])
+  return query._result
+}
+
+test('fixed width numeric columns are collected into typed arrays', function () {
+  const result = runColumnar([
+    [1, '9223372036854775807', 1.5, 7, 'a'],
+    [2, '-3', 2.25, -7, 'b'],
+  ])
+  assert.strictEqual(result.rowCount, 2)
+  assert.deepStrictEqual(result.columns.id, Int32Array.from([1, 2]))
+  assert.deepStrictEqual(result.columns.big, BigInt64Array.from([BigInt('9223372036854775807'), BigInt(-3)]))
+  assert.deepStrictEqual(result.columns.price, Float64Array.from([1.5, 2.25]))
+  assert.deepStrictEqual(result.columns.small, Int16Array.from([7, -7]))
+  assert.deepStrictEqual(result.columns.name, ['a', 'b'])
+  assert.deepStrictEqual(result.nulls, {})
+})
+
+test('nulls in typed columns are flagged', function () {
+  const result = runColumnar([
+    [1, null, null, 1, null],
+    [null, '2', 0.5, 2, 'b'],
+  ])
+  assert.deepStrictEqual(result.columns.id, Int32Array.from([1, 0]))
+  assert.deepStrictEqual(result.nulls.id, Uint8Array.from([0, 1]))
+  assert.deepStrictEqual(result.nulls.big, Uint8Array.from([1, 0]))
+  assert.deepStrictEqual(result.nulls.price, Uint8Array.from([1, 0]))
+  assert.strictEqual(result.nulls.small, undefined)
+  assert.deepStrictEqual(result.columns.name, [null, 'b'])
+})
+
+test('text values are parsed into the columns', function () {
+  const result = new Result('columnar')
+  result.addFields([
+    { name: 'n', dataTypeID: 23, dataTypeName: 'INTEGER' },
+    { name: 'b', dataTypeID: 16 },
+  ])
+  result.addColumnValues(['42', 't'])
+  result.addCommandComplete({ text: 'SELECT 1' })
+  assert.deepStrictEqual(result.columns.n, Int32Array.from([42]))
+  assert.deepStrictEqual(result.columns.b, [true])
+})
+
+test('columns grow past their initial capacity', function () {
+  const rows = []
+  for (let i = 0; i < 3000; i++) {
+    rows.push([i, String(i), i / 2, i % 100, i % 1000 === 0 ? null : 'x'])
+  }
+  const result = runColumnar(rows)
+  assert.strictEqual(result.columns.id.length, 3000)
+  assert.strictEqual(result.columns.id[2999], 2999)
+  assert.strictEqual(result.columns.big[2048], BigInt(2048))
+  assert.strictEqual(result.columns.price[1025], 512.5)
+  assert.strictEqual(result.columns.name.length, 3000)
+})
+
+test('a query without rows has empty columns', function () {
+  const result = runColumnar([])
+  assert.strictEqual(result.columns.id.length, 0)
+  assert.ok(result.columns.id instanceof Int32Array)
+  assert.deepStrictEqual(result.columns.name, [])
+})
+
+test('the DBOS descriptor names the columns without touching the emitted fields', function () {
+  const query = new Query({ text: 'SELECT * FROM items', rowMode: 'columnar' })
+  const described = [{ name: 'id', dataTypeID: 0, dataTypeName: 'UNKNOWN' }]
+  query.handleRowDescription({ fields: described })
+  query.handleDbosTupleDescriptor({ fieldTypeNames: ['INTEGER'] })
+  query.handleDataRow({ fields: [7] })
+  query.handleCommandComplete({ text: 'SELECT 1' })
+  assert.deepStrictEqual(query._result.columns.id, Int32Array.from([7]))
+  assert.strictEqual(query._result.fields[0].dataTypeName, 'INTEGER')
+  assert.strictEqual(described[0].dataTypeName, 'UNKNOWN')
+})
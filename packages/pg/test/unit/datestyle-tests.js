@@ -0,0 +1,49 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { normalizeDateTime } = require('../../lib/datestyle')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const DATE_OID = 1082
+
+test('ISO values are left alone', function () {
+  assert.strictEqual(normalizeDateTime('1997-12-17', true), '1997-12-17')
+  assert.strictEqual(normalizeDateTime('1997-12-17 07:37:16.25', false), '1997-12-17 07:37:16.25')
+})
+
+test('SQL style dates follow EuroDates', function () {
+  assert.strictEqual(normalizeDateTime('12/07/1997', false), '1997-12-07')
+  assert.strictEqual(normalizeDateTime('12/07/1997', true), '1997-07-12')
+  assert.strictEqual(normalizeDateTime('12/17/1997 07:37:16.00', false), '1997-12-17 07:37:16.00')
+})
+
+test('German and Postgres style dates', function () {
+  assert.strictEqual(normalizeDateTime('17.12.1997 07:37:16', false), '1997-12-17 07:37:16')
+  assert.strictEqual(normalizeDateTime('17-12-1997', true), '1997-12-17')
+  assert.strictEqual(normalizeDateTime('Wed Dec 17 07:37:16.5 1997', false), '1997-12-17 07:37:16.5')
+  assert.strictEqual(normalizeDateTime('Wed Dec 17 07:37:16 1997 PST', false), '1997-12-17 07:37:16')
+  assert.strictEqual(normalizeDateTime('01/02/0044 BC', true), '0044-02-01 BC')
+})
+
+test('client sets an ISO DateStyle by default', function () {
+  const client = new Client()
+  assert.strictEqual(client.dateStyle, 'ISO')
+  assert.strictEqual(client.getTypeParser(DATE_OID)('12/07/1997').getMonth(), 11)
+})
+
+test('a European DateStyle parses day first dates', function () {
+  const client = new Client({ dateStyle: 'SQL, European' })
+  const date = client.getTypeParser('DATE')('12/07/1997')
+  assert.strictEqual(date.getMonth(), 6)
+  assert.strictEqual(date.getDate(), 12)
+})
+
+test('the DBOS tuple descriptor updates the day/month order', function () {
+  const client = new Client()
+  client._handleDbosTupleDescriptor({ tupdesc: { EuroDates: 1 } })
+  assert.strictEqual(client.getTypeParser('TIMESTAMP')('12/07/1997 10:00:00').getMonth(), 6)
+  client._handleDbosTupleDescriptor({ tupdesc: { EuroDates: 0 } })
+  assert.strictEqual(client.getTypeParser('TIMESTAMP')('12/07/1997 10:00:00').getMonth(), 11)
+})
@@ -0,0 +1,49 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { NzDecimal } = require('../../lib/decimal')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+test('NzDecimal round trips exact values', function () {
+  const values = ['0', '1.50', '-0.05', '12345678901234567890123456789.0123456789', '-42']
+  for (const value of values) {
+    assert.strictEqual(NzDecimal.parse(value).toString(), value)
+  }
+})
+
+test('NzDecimal keeps the unscaled digits as a BigInt', function () {
+  const decimal = NzDecimal.parse('-1234.5600')
+  assert.strictEqual(decimal.unscaled, BigInt('-12345600'))
+  assert.strictEqual(decimal.scale, 4)
+  assert.strictEqual(JSON.stringify({ amount: decimal }), '{"amount":"-1234.5600"}')
+  assert.strictEqual(decimal.toPostgres(), '-1234.5600')
+})
+
+test('NzDecimal rejects non numeric text', function () {
+  assert.throws(() => NzDecimal.parse('abc'), TypeError)
+  assert.throws(() => NzDecimal.parse(''), TypeError)
+})
+
+test('numerics stay exact strings by default', function () {
+  const client = new Client()
+  assert.strictEqual(client.getTypeParser('NUMERIC')('0.10'), '0.10')
+})
+
+test('decimal: bigint parses NUMERIC and MONEY into NzDecimal', function () {
+  const client = new Client({ decimal: 'bigint' })
+  const numeric = client.getTypeParser('NUMERIC')('99999999999999999.99')
+  assert(numeric instanceof NzDecimal)
+  assert.strictEqual(numeric.toString(), '99999999999999999.99')
+  assert(client.getTypeParser('MONEY')('19.99') instanceof NzDecimal)
+})
+
+test('decimal accepts a user supplied constructor function', function () {
+  const client = new Client({ decimal: (text) => ({ text }) })
+  assert.deepStrictEqual(client.getTypeParser('NUMERIC')('1.5'), { text: '1.5' })
+})
+
+test('decimal rejects unknown modes', function () {
+  assert.throws(() => new Client({ decimal: 'float' }), /Unsupported decimal mode/)
+})
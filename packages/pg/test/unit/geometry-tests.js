@@ -0,0 +1,99 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const utils = require('../../lib/utils')
+const { wkbToGeoJSON, geoJSONToWkb } = require('../../lib/geometry')
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const roundTrip = (geometry) => assert.deepStrictEqual(wkbToGeoJSON(geoJSONToWkb(geometry)), geometry)
+
+test('decodes a little-endian WKB point', function () {
+  const wkb = Buffer.from('0101000000000000000000f03f0000000000000040', 'hex')
+  assert.deepStrictEqual(wkbToGeoJSON(wkb), { type: 'Point', coordinates: [1, 2] })
+})
+
+test('decodes a big-endian WKB linestring', function () {
+  const wkb = Buffer.from(
+    '0000000002000000023ff000000000000040000000000000004008000000000000' + '4010000000000000',
+    'hex'
+  )
+  assert.deepStrictEqual(wkbToGeoJSON(wkb), {
+    type: 'LineString',
+    coordinates: [
+      [1, 2],
+      [3, 4],
+    ],
+  })
+})
+
+test('decodes EWKB with an SRID and Z coordinates', function () {
+  const wkb = Buffer.alloc(33)
+  wkb[0] = 1
+  wkb.writeUInt32LE((0x80000000 | 0x20000000 | 1) >>> 0, 1)
+  wkb.writeUInt32LE(4326, 5)
+  wkb.writeDoubleLE(1, 9)
+  wkb.writeDoubleLE(2, 17)
+  wkb.writeDoubleLE(3, 25)
+  assert.deepStrictEqual(wkbToGeoJSON(wkb), { type: 'Point', coordinates: [1, 2, 3] })
+})
+
+test('round trips polygons and multi geometries', function () {
+  const zone = [
+    [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+      [0, 0],
+    ],
+  ]
+  roundTrip({ type: 'Polygon', coordinates: zone })
+  roundTrip({
+    type: 'MultiPoint',
+    coordinates: [
+      [1, 2],
+      [3, 4],
+    ],
+  })
+  roundTrip({
+    type: 'MultiLineString',
+    coordinates: [
+      [
+        [1, 2],
+        [3, 4],
+      ],
+    ],
+  })
+  roundTrip({ type: 'MultiPolygon', coordinates: [zone, zone] })
+  roundTrip({
+    type: 'LineString',
+    coordinates: [
+      [1, 2, 3],
+      [4, 5, 6],
+    ],
+  })
+  roundTrip({
+    type: 'GeometryCollection',
+    geometries: [
+      { type: 'Point', coordinates: [1, 2] },
+      { type: 'Polygon', coordinates: zone },
+    ],
+  })
+})
+
+test('rejects unknown geometry types', function () {
+  assert.throws(() => geoJSONToWkb({ type: 'Circle', coordinates: [] }), TypeError)
+  assert.throws(() => wkbToGeoJSON(Buffer.from('0109000000', 'hex')), TypeError)
+})
+
+test('GeoJSON parameters are sent as WKB binary literals once converted', function () {
+  const point = { type: 'Point', coordinates: [1, 2] }
+  assert.strictEqual(utils.prepareLiteral(geoJSONToWkb(point)), "x'0101000000000000000000f03f0000000000000040'")
+  const feature = { type: 'Feature', properties: {}, geometry: point }
+  assert.strictEqual(utils.prepareLiteral(geoJSONToWkb(feature)), utils.prepareLiteral(geoJSONToWkb(point)))
+})
+
+test('GeoJSON shaped objects are sent as JSON unless converted', function () {
+  const point = { type: 'Point', coordinates: [1, 2] }
+  assert.strictEqual(utils.prepareLiteral(point), '\'{"type":"Point","coordinates":[1,2]}\'::JSON')
+})
@@ -0,0 +1,103 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { rowFormat, formatLoadValue, formatLoadRows } = require('../../lib/load-rows')
+const { buildLoadStatement } = require('../../lib/load-query')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const fields = [
+  { name: 'id', dataTypeName: 'BIGINT' },
+  { name: 'name', dataTypeName: 'NVARCHAR' },
+  { name: 'born', dataTypeName: 'DATE' },
+  { name: 'seen', dataTypeName: 'TIMESTAMP' },
+  { name: 'avatar', dataTypeName: 'VARBINARY' },
+]
+
+const collect = async (chunks) => {
+  let text = ''
+  for await (const chunk of chunks) {
+    text += chunk
+  }
+  return text
+}
+
+const format = (val, type) => formatLoadValue(val, type, rowFormat, (text) => text)
+
+test('formats values like query parameters', function () {
+  assert.strictEqual(format(null), 'NULL')
+  assert.strictEqual(format(undefined), 'NULL')
+  assert.strictEqual(format(true), 'TRUE')
+  assert.strictEqual(format(BigInt('9007199254740993')), '9007199254740993')
+  assert.strictEqual(format(Buffer.from([0xde, 0xad])), 'dead')
+  assert.strictEqual(format({ a: [1, 2] }), '{"a":[1,2]}')
+  assert.strictEqual(format(new Float32Array([0.5, 1])), '[0.5,1]')
+  const date = new Date(2024, 1, 3, 4, 5, 6, 7)
+  assert.strictEqual(format(date, 'DATE'), '2024-02-03')
+  assert.strictEqual(format(date, 'TIMESTAMP'), '2024-02-03 04:05:06.007')
+})
+
+test('escapes delimiters, line breaks and null markers', async function () {
+  const rows = [
+    [1, 'a|b\\c\nd'],
+    [2, 'NULL'],
+  ]
+  const text = await collect(formatLoadRows(rows, fields, ['id', 'name'], {}))
+  assert.strictEqual(text, '1|a\\|b\\\\c\\\nd|NULL|NULL|NULL\n2|\\NULL|NULL|NULL|NULL\n')
+})
+
+test('reads object rows by column name', async function () {
+  const rows = [{ NAME: 'Zoë', id: 7 }, { id: 8 }]
+  const text = await collect(formatLoadRows(rows, fields, ['ID', 'NAME'], { delimiter: ',' }))
+  assert.strictEqual(text, '7,Zoë,NULL,NULL,NULL\n8,NULL,NULL,NULL,NULL\n')
+  const all = await collect(formatLoadRows([{ id: 1, avatar: Buffer.from('hi') }], fields, undefined, {}))
+  assert.strictEqual(all, '1|NULL|NULL|NULL|6869\n')
+})
+
+test('rejects columns the table does not have', function () {
+  assert.throws(() => formatLoadRows([], fields, ['id', 'nmae'], {}), /Unknown column "nmae"/)
+})
+
+test('inserts only the given columns', function () {
+  assert.strictEqual(
+    buildLoadStatement('people', { columns: ['id', 'name'], delimiter: '|' }),
+    "INSERT INTO people (id, name) SELECT id, name FROM EXTERNAL 'nodejs-load' SAMEAS people USING (REMOTESOURCE 'ODBC' DELIMITER '|')"
+  )
+})
+
+test('client.insertRows describes the table and loads the formatted rows', async function () {
+  const client = new Client()
+  const calls = []
+  client.query = (text) => {
+    calls.push(text)
+    return Promise.resolve({ fields })
+  }
+  client.load = async (table, source, options) => {
+    calls.push(table)
+    return { rowCount: 2, text: await collect(source), options }
+  }
+  const rows = [
+    [1, 'Ann'],
+    [2, 'Bob'],
+  ]
+  const result = await client.insertRows('people', rows, { columns: ['id', 'name'] })
+  assert.deepStrictEqual(calls, ['SELECT * FROM people LIMIT 0', 'people'])
+  assert.strictEqual(result.text, '1|Ann|NULL|NULL|NULL\n2|Bob|NULL|NULL|NULL\n')
+  assert.deepStrictEqual(result.options.columns, ['id', 'name'])
+  assert.strictEqual(result.options.escapeChar, '\\')
+  assert.throws(() => client.insertRows('people', 42), /array or iterable of rows/)
+})
+
+test('client.insertRows quotes a table name that is not a plain identifier', async function () {
+  const client = new Client()
+  const calls = []
+  client.query = (text) => {
+    calls.push(text)
+    return Promise.resolve({ fields })
+  }
+  client.load = async (table) => calls.push(table)
+  await client.insertRows('people; DROP TABLE people', [[1, 'Ann']])
+  assert.deepStrictEqual(calls, ['SELECT * FROM "people; DROP TABLE people" LIMIT 0', 'people; DROP TABLE people'])
+  assert.throws(() => client.insertRows(undefined, []), /table name/)
+})
@@ -0,0 +1,39 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const utils = require('../../lib/utils')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const JSON_OID = 114
+const JSONB_OID = 3802
+const JSONPATH_OID = 4072
+
+test('JSON and JSONB values are parsed by default', function () {
+  const client = new Client()
+  assert.deepStrictEqual(client.getTypeParser(JSON_OID)('{"a":[1,2]}'), { a: [1, 2] })
+  assert.deepStrictEqual(client.getTypeParser(JSONB_OID)('[true,null]'), [true, null])
+})
+
+test('JSONPATH values stay strings', function () {
+  const client = new Client()
+  assert.strictEqual(client.getTypeParser(JSONPATH_OID)('$.a[*]'), '$.a[*]')
+})
+
+test('jsonAsText keeps the raw JSON text', function () {
+  const client = new Client({ jsonAsText: true })
+  assert.strictEqual(client.getTypeParser(JSON_OID)('{"a": 1}'), '{"a": 1}')
+  assert.strictEqual(client.getTypeParser(JSONB_OID)('{"a": 1}'), '{"a": 1}')
+})
+
+test('objects and arrays are sent as JSON literals', function () {
+  assert.strictEqual(utils.prepareLiteral({ name: "O'Brien" }), '\'{"name":"O\'\'Brien"}\'::JSON')
+  assert.strictEqual(utils.prepareLiteral([1, 'a']), '\'[1,"a"]\'::JSON')
+})
+
+test('dates, buffers and toPostgres objects are not sent as JSON', function () {
+  assert.strictEqual(utils.prepareLiteral(Buffer.from([1])), "x'01'")
+  assert.strictEqual(utils.prepareLiteral({ toPostgres: () => 'custom' }), "'custom'")
+  assert(!/::JSON$/.test(utils.prepareLiteral(new Date(0))))
+})
@@ -0,0 +1,204 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { EventEmitter } = require('events')
+const { Readable } = require('stream')
+const LoadQuery = require('../../lib/load-query')
+const { buildLoadStatement } = LoadQuery
+const { parseLoadLog } = require('../../lib/load-log')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+// records what the load sends, the first `fullWrites` writes report a full socket buffer
+const fakeConnection = function (fullWrites) {
+  const stream = new EventEmitter()
+  stream.writable = true
+  return {
+    stream,
+    chunks: [],
+    done: false,
+    failed: false,
+    sendExternalData(chunk) {
+      this.chunks.push(chunk.toString())
+      return fullWrites-- <= 0
+    },
+    endExternalData() {
+      this.done = true
+    },
+    sendExternalError() {
+      this.failed = true
+    },
+  }
+}
+
+test('builds the external table statement', function () {
+  const text = buildLoadStatement('sales', { delimiter: ',', nullValue: 'NULL', skipRows: 1, dateStyle: 'DMY' })
+  assert.strictEqual(
+    text,
+    "INSERT INTO sales SELECT * FROM EXTERNAL 'nodejs-load' SAMEAS sales USING (REMOTESOURCE 'ODBC' DELIMITER ',' NULLVALUE 'NULL' SKIPROWS 1 DATESTYLE 'DMY')"
+  )
+})
+
+test('quotes option values', function () {
+  const text = buildLoadStatement('sales', { escapeChar: '\\', delimiter: "'", fillRecord: true })
+  assert(text.endsWith("USING (REMOTESOURCE 'ODBC' ESCAPECHAR '\\' DELIMITER '''' FILLRECORD TRUE)"), text)
+})
+
+test('rejects unknown options and missing tables', function () {
+  assert.throws(() => buildLoadStatement('sales', { delimeter: ',' }), /Unknown external table option "delimeter"/)
+  assert.throws(() => buildLoadStatement('', {}), /table name/)
+})
+
+test('streams the source and ends the transfer', function (done) {
+  const connection = fakeConnection(0)
+  const query = new LoadQuery('sales', Readable.from(['1|a\n', '2|b\n']))
+  query.handleExternalLoadRequest({ filename: 'nodejs-load' }, connection)
+  setImmediate(() => {
+    assert.deepStrictEqual(connection.chunks, ['1|a\n', '2|b\n'])
+    assert.strictEqual(connection.done, true)
+    done()
+  })
+})
+
+test('pauses the source until the socket drains', function (done) {
+  const connection = fakeConnection(1)
+  const source = Readable.from(['1|a\n', '2|b\n'])
+  const query = new LoadQuery('sales', source)
+  query.handleExternalLoadRequest({ filename: 'nodejs-load' }, connection)
+  setImmediate(() => {
+    assert.deepStrictEqual(connection.chunks, ['1|a\n'])
+    assert.strictEqual(connection.done, false)
+    connection.stream.emit('drain')
+    setImmediate(() => {
+      assert.deepStrictEqual(connection.chunks, ['1|a\n', '2|b\n'])
+      assert.strictEqual(connection.done, true)
+      done()
+    })
+  })
+})
+
+test('a failing source aborts the transfer and fails the load', function (done) {
+  const connection = fakeConnection(0)
+  const source = new Readable({ read() {} })
+  const query = new LoadQuery('sales', source, {}, (err) => {
+    assert.strictEqual(err.message, 'disk gone')
+    done()
+  })
+  query.handleExternalLoadRequest({ filename: 'nodejs-load' }, connection)
+  source.destroy(new Error('disk gone'))
+  setImmediate(() => {
+    assert.strictEqual(connection.failed, true)
+    query.handleReadyForQuery(connection)
+  })
+})
+
+test('a connection closing during the transfer fails the load', function (done) {
+  const connection = fakeConnection(0)
+  const source = new Readable({ read() {} })
+  const query = new LoadQuery('sales', source, {}, (err) => {
+    assert.match(err.message, /closed before all of the load data was sent/)
+    assert.deepStrictEqual(connection.chunks, ['1|a\n'])
+    done()
+  })
+  query.handleExternalLoadRequest({ filename: 'nodejs-load' }, connection)
+  source.push('1|a\n')
+  setImmediate(() => {
+    connection.stream.writable = false
+    source.push('2|b\n')
+    setImmediate(() => {
+      query.handleCommandComplete({ text: 'INSERT 0 1' }, connection)
+      query.handleReadyForQuery(connection)
+    })
+  })
+})
+
+test('quotes table and column names that are not plain identifiers', function () {
+  const text = buildLoadStatement('db..sales', { columns: ['id', 'Order Date', 'x"; DROP TABLE t; --'] })
+  assert(
+    text.startsWith(
+      'INSERT INTO db..sales (id, "Order Date", "x""; DROP TABLE t; --") SELECT id, "Order Date", "x""; DROP TABLE t; --" FROM EXTERNAL'
+    ),
+    text
+  )
+  const quoted = buildLoadStatement('sales; DROP TABLE t', {})
+  assert(
+    quoted.startsWith(
+      'INSERT INTO "sales; DROP TABLE t" SELECT * FROM EXTERNAL \'nodejs-load\' SAMEAS "sales; DROP TABLE t"'
+    ),
+    quoted
+  )
+})
+
+const logLines = [
+  'Load started',
+  'bad #: input row #(byte offset to last char examined) [field #, declaration] diagnostic, "text consumed"[last char examined]',
+  '1: 2(3) [1, INT4] expected field delimiter or end of record, "12"[a]',
+  '2: 4(1) [2, VARCHAR(3)] exceeded maximum field length',
+  '',
+].join('\n')
+
+test('parses rejected rows and pairs them with the bad file', function () {
+  assert.deepStrictEqual(parseLoadLog(logLines, '12a|x\n7|toolong\n'), [
+    {
+      badRow: 1,
+      inputRow: 2,
+      offset: 3,
+      field: 1,
+      declaration: 'INT4',
+      reason: 'expected field delimiter or end of record',
+      consumed: '12',
+      lastChar: 'a',
+      row: '12a|x',
+    },
+    {
+      badRow: 2,
+      inputRow: 4,
+      offset: 1,
+      field: 2,
+      declaration: 'VARCHAR(3)',
+      reason: 'exceeded maximum field length',
+      consumed: null,
+      lastChar: null,
+      row: '7|toolong',
+    },
+  ])
+  assert.deepStrictEqual(parseLoadLog('Load started\n', ''), [])
+})
+
+test('exposes the load log and bad rows on the result', function (done) {
+  const connection = fakeConnection(0)
+  const query = new LoadQuery('sales', Readable.from([]), {}, (err, res) => {
+    assert.ifError(err)
+    assert.strictEqual(res.loadLog, logLines)
+    assert.deepStrictEqual(
+      res.badRows.map((badRow) => badRow.row),
+      ['12a|x', '7|toolong']
+    )
+    assert.strictEqual(emitted.length, 2)
+    done()
+  })
+  const emitted = []
+  query.on('badRow', (badRow) => emitted.push(badRow))
+  query.handleExternalLog({ kind: 'log', data: Buffer.from(logLines) })
+  query.handleExternalLog({ kind: 'bad', data: Buffer.from('12a|x\n7|toolong\n') })
+  query.handleCommandComplete({ text: 'INSERT 0 5' }, connection)
+  query.handleReadyForQuery(connection)
+})
+
+test('attaches bad rows to the error of a failed load', function (done) {
+  const query = new LoadQuery('sales', Readable.from([]), {}, (err) => {
+    assert.strictEqual(err.message, 'too many errors')
+    assert.strictEqual(err.badRows.length, 2)
+    assert.strictEqual(err.badRows[0].row, '12a|x')
+    done()
+  })
+  query.handleExternalLog({ kind: 'bad', data: Buffer.from('12a|x\n7|toolong\n') })
+  query.handleExternalLog({ kind: 'log', data: Buffer.from(logLines) })
+  query.handleError(new Error('too many errors'), fakeConnection(0))
+})
+
+test('client.load requires a stream', function () {
+  const client = new Client()
+  assert.throws(() => client.load('sales', 'a,b'), /readable stream/)
+})
@@ -0,0 +1,95 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const TypeOverrides = require('../../lib/type-overrides')
+const Result = require('../../lib/result')
+const { NzTypeOids, nzTypeNameFromOid, nzTypeNameFromDbosType } = require('pg-protocol')
+const { NzInterval } = require('pg-protocol/dist/dbos-decoders')
+const { connectedClient } = require('./client/test-helper')
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const upper = (value) => value.toUpperCase()
+
+test('setTypeParser accepts Netezza type names', function () {
+  const types = new TypeOverrides()
+  types.setTypeParser('NVARCHAR', upper)
+  assert.strictEqual(types.getTypeParser(NzTypeOids.NVARCHAR[0])('abc'), 'ABC')
+  assert.strictEqual(types.getTypeParser('nvarchar'), upper)
+})
+
+test('a type name covers every oid reported for the type', function () {
+  const types = new TypeOverrides()
+  types.setTypeParser('VARBINARY', upper)
+  for (const oid of NzTypeOids.VARBINARY) {
+    assert.strictEqual(types.getTypeParser(oid), upper)
+  }
+})
+
+test('oids keep working', function () {
+  const types = new TypeOverrides()
+  types.setTypeParser(1700, upper)
+  assert.strictEqual(types.getTypeParser('NUMERIC'), upper)
+  assert.strictEqual(types.getTypeParser('1700'), upper)
+})
+
+test('unknown type names are rejected', function () {
+  const types = new TypeOverrides()
+  assert.throws(() => types.setTypeParser('TEXTISH', upper), /Unknown Netezza type name "TEXTISH"/)
+})
+
+test('client.setTypeParser resolves type names', function () {
+  const client = new Client()
+  client.setTypeParser('BYTEINT', Number)
+  assert.strictEqual(client.getTypeParser(2500)('7'), 7)
+})
+
+test('parsers set for a type also run on DBOS decoded values', function () {
+  const types = new TypeOverrides()
+  types.setTypeParser(NzTypeOids.INTEGER[0], (value) => value * 2)
+  const result = new Result(undefined, types)
+  result.addFields([
+    { name: 'n', dataTypeID: NzTypeOids.INTEGER[0] },
+    { name: 'flag', dataTypeID: NzTypeOids.BOOLEAN[0] },
+  ])
+  assert.deepStrictEqual(result.parseRow([21, true]), { n: 42, flag: true }, 'the default boolean parser is skipped')
+  assert.deepStrictEqual(result.parseRow(['21', 't']), { n: 42, flag: true })
+})
+
+// a one column result whose row description oid does not name the type, only the DBOS descriptor does
+const queryDbosValue = async function (client, dataTypeName, value) {
+  const con = client.connection
+  const query = client.query('SELECT v FROM t')
+  con.emit('rowDescription', { fields: [{ name: 'v', dataTypeID: 0, dataTypeName: 'UNKNOWN' }] })
+  con.emit('dbosTupleDescriptor', { tupdesc: { EuroDates: 0 }, fieldTypeNames: [dataTypeName] })
+  con.emit('dataRow', { fields: [value] })
+  con.emit('commandComplete', { text: 'SELECT 1' })
+  con.emit('readyForQuery')
+  return (await query).rows[0].v
+}
+
+test('parsers set by type name run for DBOS rows', async function () {
+  const client = connectedClient()
+  client.setTypeParser('INTEGER', (value) => value + 1)
+  client.setTypeParser('BYTEINT', (value) => `byte ${value}`)
+  client.setTypeParser('BOOLEAN', (value) => (value ? 'yes' : 'no'))
+  client.setTypeParser('INTERVAL', String)
+  assert.strictEqual(await queryDbosValue(client, 'INTEGER', 41), 42)
+  assert.strictEqual(await queryDbosValue(client, 'BYTEINT', 7), 'byte 7')
+  assert.strictEqual(await queryDbosValue(client, 'BOOLEAN', true), 'yes')
+  assert.strictEqual(await queryDbosValue(client, 'INTERVAL', new NzInterval(14, BigInt(0))), '1 years 2 mons')
+})
+
+test('DBOS values without a parser of their own are returned as they are', async function () {
+  const client = connectedClient()
+  assert.strictEqual(await queryDbosValue(client, 'BOOLEAN', false), false)
+  assert.strictEqual(await queryDbosValue(client, 'INTEGER', 41), 41)
+})
+
+test('the registry maps oids and DBOS codes to type names', function () {
+  assert.strictEqual(nzTypeNameFromOid(2522), 'NCHAR')
+  assert.strictEqual(nzTypeNameFromOid(999999), 'UNKNOWN')
+  assert.strictEqual(nzTypeNameFromDbosType(13), 'BYTEINT')
+  assert.strictEqual(nzTypeNameFromDbosType(26), 'NVARCHAR')
+})
@@ -0,0 +1,103 @@
+'use strict'
+const helper = require('./test-helper')
+const assert = require('assert')
+const { EventEmitter } = require('events')
+const { Writable } = require('stream')
+const UnloadQuery = require('../../lib/unload-query')
+const { buildUnloadStatement } = UnloadQuery
+const { Client } = helper
+const suite = new helper.Suite()
+const test = suite.test.bind(suite)
+
+const fakeConnection = function () {
+  const stream = new EventEmitter()
+  stream.paused = false
+  stream.pause = () => (stream.paused = true)
+  stream.resume = () => (stream.paused = false)
+  return { stream }
+}
+
+// collects what is written, callbacks are held back until release() to simulate a slow destination
+const slowWritable = function () {
+  const pending = []
+  const destination = new Writable({
+    highWaterMark: 4,
+    write(chunk, encoding, callback) {
+      destination.chunks.push(chunk.toString())
+      pending.push(callback)
+    },
+  })
+  destination.chunks = []
+  destination.release = () => pending.splice(0).forEach((callback) => callback())
+  return destination
+}
+
+const data = (text) => ({ name: 'externalUnloadData', status: 'data', chunk: Buffer.from(text) })
+const done = { name: 'externalUnloadData', status: 'done', chunk: null }
+
+test('builds the external table statement', function () {
+  assert.strictEqual(
+    buildUnloadStatement('SELECT * FROM sales', { delimiter: ',', includeHeader: true }),
+    "CREATE EXTERNAL TABLE 'nodejs-unload' USING (REMOTESOURCE 'ODBC' DELIMITER ',' INCLUDEHEADER TRUE) AS SELECT * FROM sales"
+  )
+  assert.throws(() => buildUnloadStatement('', {}), /requires a query/)
+  assert.throws(() => buildUnloadStatement('SELECT 1', { delimeter: ',' }), /Unknown external table option/)
+})
+
+test('writes the data and ends the destination before completing', function (done_) {
+  const connection = fakeConnection()
+  const destination = slowWritable()
+  const query = new UnloadQuery('SELECT * FROM sales', destination, {}, (err) => {
+    assert.ifError(err)
+    assert.deepStrictEqual(destination.chunks, ['1|a\n', '2|b\n'])
+    assert(destination.writableFinished)
+    done_()
+  })
+  query.handleExternalUnloadRequest({}, connection)
+  query.handleExternalUnloadData(data('1|a\n'), connection)
+  assert.strictEqual(connection.stream.paused, true, 'socket is paused while the destination is full')
+  destination.release()
+  setImmediate(() => {
+    assert.strictEqual(connection.stream.paused, false)
+    query.handleExternalUnloadData(data('2|b\n'), connection)
+    query.handleExternalUnloadData(done, connection)
+    query.handleReadyForQuery(connection)
+    setImmediate(() => destination.release())
+  })
+})
+
+test('keeps the destination open with end: false', function (done_) {
+  const connection = fakeConnection()
+  const destination = slowWritable()
+  const query = new UnloadQuery('SELECT 1', destination, { end: false }, (err) => {
+    assert.ifError(err)
+    assert.strictEqual(destination.writableEnded, false)
+    done_()
+  })
+  query.handleExternalUnloadRequest({}, connection)
+  query.handleExternalUnloadData(done, connection)
+  query.handleReadyForQuery(connection)
+})
+
+test('a failing destination fails the unload', function (done_) {
+  const connection = fakeConnection()
+  const destination = slowWritable()
+  const query = new UnloadQuery('SELECT 1', destination, {}, (err) => {
+    assert.strictEqual(err.message, 'disk full')
+    assert.strictEqual(connection.stream.paused, false)
+    done_()
+  })
+  query.handleExternalUnloadRequest({}, connection)
+  query.handleExternalUnloadData(data('1|a\n'), connection)
+  destination.destroy(new Error('disk full'))
+  setImmediate(() => {
+    query.handleExternalUnloadData(data('2|b\n'), connection)
+    query.handleExternalUnloadData(done, connection)
+    query.handleReadyForQuery(connection)
+  })
+})
+
+test('client.unload requires a stream', function () {
+  const client = new Client()
+  assert.throws(() => client.unload('SELECT 1', 'out.csv'), /writable stream/)
+})
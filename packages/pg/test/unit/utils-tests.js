@@ -47,6 +47,12 @@ test('prepareValues: Uint8Array prepared properly', function () {
   assert.deepEqual(out[0], 2)
 })
 
+test('prepareValues: float typed arrays prepared as vectors', function () {
+  assert.strictEqual(utils.prepareValue(new Float32Array([0.5, -1, 3])), '[0.5,-1,3]')
+  assert.strictEqual(utils.prepareValue(new Float64Array([0.1, 2])), '[0.1,2]')
+  assert.strictEqual(utils.prepareLiteral(new Float64Array([1.5])), "'[1.5]'")
+})
+
 test('prepareValues: date prepared properly', function () {
   helper.setTimezoneOffset(-330)
 
@@ -314,3 +320,52 @@ testEscapeIdentifier(
   'hello \\ \' " world',
   '"hello \\ \' "" world"'
 )
+
+test('prepareLiteral: buffers become hex binary literals', function () {
+  assert.strictEqual(utils.prepareLiteral(Buffer.from([0, 0xde, 0xad, 0xff])), "x'00deadff'")
+  assert.strictEqual(utils.prepareLiteral(Buffer.alloc(0)), "x''")
+})
+
+test('prepareLiteral: quotes strings and maps null', function () {
+  assert.strictEqual(utils.prepareLiteral("it's \\ fine"), "'it''s \\ fine'")
+  assert.strictEqual(utils.prepareLiteral('42'), "'42'")
+  assert.strictEqual(utils.prepareLiteral(null), 'NULL')
+  assert.strictEqual(utils.prepareLiteral(undefined), 'NULL')
+})
+
+test('prepareLiteral: keeps numbers numeric', function () {
+  assert.strictEqual(utils.prepareLiteral(42), '42')
+  assert.strictEqual(utils.prepareLiteral(1.5), '1.5')
+  assert.strictEqual(utils.prepareLiteral(-3), '(-3)')
+  assert.strictEqual(utils.prepareLiteral(BigInt('9223372036854775807')), '9223372036854775807')
+  assert.strictEqual(utils.prepareLiteral(NaN), "'NaN'")
+  assert.strictEqual(
+    utils.interpolateValues('SELECT * FROM t WHERE a -$1 > 0 LIMIT $2', [-1, 10]),
+    'SELECT * FROM t WHERE a -(-1) > 0 LIMIT 10'
+  )
+})
+
+test('interpolateValues: replaces placeholders with literals', function () {
+  const values = ['a', Buffer.from('hi'), 3, 4, 5, 6, 7, 8, 9, null]
+  const text = utils.interpolateValues('INSERT INTO hashes VALUES ($1, $2, $10)', values)
+  assert.strictEqual(text, "INSERT INTO hashes VALUES ('a', x'6869', NULL)")
+})
+
+test('interpolateValues: skips quoted text and comments', function () {
+  const text = utils.interpolateValues("SELECT '$1 it''s $1', \"col$1\", $1 -- $1\n/* $1 */ FROM t WHERE a$1 = $1", [
+    'x',
+  ])
+  assert.strictEqual(text, "SELECT '$1 it''s $1', \"col$1\", 'x' -- $1\n/* $1 */ FROM t WHERE a$1 = 'x'")
+})
+
+test('interpolateValues: throws for missing values', function () {
+  assert.throws(() => utils.interpolateValues('SELECT $1, $2', [1]), /parameter \$2/)
+})
+
+test('prepareIdentifier: keeps plain names and quotes the rest', function () {
+  assert.strictEqual(utils.prepareIdentifier('sales'), 'sales')
+  assert.strictEqual(utils.prepareIdentifier('db.admin.sales'), 'db.admin.sales')
+  assert.strictEqual(utils.prepareIdentifier('db..sales'), 'db..sales')
+  assert.strictEqual(utils.prepareIdentifier('Order Date'), '"Order Date"')
+  assert.strictEqual(utils.prepareIdentifier('t; DROP TABLE "x"'), '"t; DROP TABLE ""x"""')
+})